@@ -0,0 +1,107 @@
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  return { ...actual, verifyAccessToken: jest.fn() };
+});
+jest.mock('../models/User', () => ({
+  reserveSession: jest.fn(),
+  releaseSession: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../services/chatService', () => ({
+  resolveConversation: jest.fn(),
+  processMessage: jest.fn(),
+  buildChatResponse: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { AuthError, verifyAccessToken } = require('../middleware/auth');
+const chatService = require('../services/chatService');
+const registerChatNamespace = require('../sockets/chat');
+
+const emitter = { emit: jest.fn() };
+
+// Namespace y socket falsos: guardan los handlers para llamarlos directamente
+const connect = (userId) => {
+  let onConnection;
+  const namespace = {
+    use: jest.fn(),
+    on: (event, handler) => { onConnection = handler; },
+    to: () => emitter
+  };
+  registerChatNamespace({ of: () => namespace });
+
+  const handlers = {};
+  const socket = {
+    id: `socket-${userId}`,
+    userId,
+    sessionId: 's1',
+    accessToken: 'token',
+    join: jest.fn(),
+    on: (event, handler) => { handlers[event] = handler; },
+    to: () => emitter,
+    disconnect: jest.fn()
+  };
+  onConnection(socket);
+
+  const send = (payload) => new Promise(resolve => handlers['chat:message'](payload, resolve));
+  return { socket, send };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  verifyAccessToken.mockResolvedValue({ user: {}, decoded: {} });
+  chatService.resolveConversation.mockResolvedValue({ conversation: { _id: 'c1' }, isNewConversation: false });
+  chatService.processMessage.mockResolvedValue({ reply: { type: 'ai' } });
+  chatService.buildChatResponse.mockReturnValue({ reply: 'hola' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('chat:message', () => {
+  const payload = { message: 'hola', conversationId: '64b000000000000000000001' };
+
+  test('responde con el mismo formato que POST /api/chat', async () => {
+    const { send } = connect('u1');
+
+    await expect(send(payload)).resolves.toEqual({ reply: 'hola' });
+    expect(verifyAccessToken).toHaveBeenCalledWith('token');
+  });
+
+  test('limita los mensajes por usuario, sumando todas sus conexiones', async () => {
+    const phone = connect('u2');
+    const laptop = connect('u2');
+
+    for (let i = 0; i < 5; i++) {
+      await phone.send(payload);
+      await laptop.send(payload);
+    }
+    const limited = await phone.send(payload);
+
+    expect(limited).toEqual(expect.objectContaining({ code: 'RATE_LIMITED', retryAfter: 60 }));
+    expect(chatService.processMessage).toHaveBeenCalledTimes(10);
+
+    // Pasada la ventana se vuelve a aceptar
+    jest.advanceTimersByTime(60 * 1000);
+    await expect(phone.send(payload)).resolves.toEqual({ reply: 'hola' });
+  });
+
+  test.each([
+    ['TOKEN_EXPIRED', 401],
+    ['ACCOUNT_DISABLED', 403],
+    ['SESSION_REVOKED', 401]
+  ])('con %s responde el código y desconecta el socket', async (code, status) => {
+    verifyAccessToken.mockRejectedValue(new AuthError(status, code, 'No autorizado'));
+    const { socket, send } = connect(`u-${code}`);
+
+    await expect(send(payload)).resolves.toEqual({ error: 'No autorizado', code });
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(chatService.processMessage).not.toHaveBeenCalled();
+  });
+});
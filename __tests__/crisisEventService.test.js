@@ -0,0 +1,101 @@
+jest.mock('../models/CrisisEvent', () => ({
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../services/mailService', () => ({
+  sendMail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const CrisisEvent = require('../models/CrisisEvent');
+const { acknowledgeEvent, resolveEvent } = require('../services/crisisEventService');
+
+const EVENT_ID = '64b000000000000000000001';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('acknowledgeEvent', () => {
+  test('solo actualiza si el evento sigue abierto', async () => {
+    CrisisEvent.findOneAndUpdate.mockResolvedValue({ _id: EVENT_ID, status: 'acknowledged' });
+
+    await acknowledgeEvent(EVENT_ID, 'staff1', 'Llamamos al usuario');
+
+    expect(CrisisEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: EVENT_ID, status: 'open' },
+      {
+        $set: {
+          status: 'acknowledged',
+          acknowledgedBy: 'staff1',
+          acknowledgedAt: expect.any(Date),
+          notes: 'Llamamos al usuario'
+        }
+      },
+      expect.objectContaining({ new: true })
+    );
+  });
+
+  test('si otra persona ya lo reconoció responde 409', async () => {
+    CrisisEvent.findOneAndUpdate.mockResolvedValue(null);
+    CrisisEvent.findById.mockResolvedValue({ _id: EVENT_ID, status: 'acknowledged' });
+
+    await expect(acknowledgeEvent(EVENT_ID, 'staff2')).rejects.toMatchObject({
+      status: 409,
+      message: 'El evento ya está en estado acknowledged'
+    });
+  });
+
+  test('un evento inexistente responde 404', async () => {
+    CrisisEvent.findOneAndUpdate.mockResolvedValue(null);
+    CrisisEvent.findById.mockResolvedValue(null);
+
+    await expect(acknowledgeEvent(EVENT_ID, 'staff1')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('un id inválido responde 404 sin consultar la base de datos', async () => {
+    await expect(acknowledgeEvent('no-es-un-id', 'staff1')).rejects.toMatchObject({ status: 404 });
+    expect(CrisisEvent.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveEvent', () => {
+  test('un evento abierto queda también reconocido por quien lo resuelve', async () => {
+    CrisisEvent.findOneAndUpdate.mockResolvedValueOnce({ _id: EVENT_ID, status: 'resolved' });
+
+    await resolveEvent(EVENT_ID, 'staff1');
+
+    expect(CrisisEvent.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(CrisisEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: EVENT_ID, status: 'open' },
+      { $set: expect.objectContaining({ status: 'resolved', resolvedBy: 'staff1', acknowledgedBy: 'staff1' }) },
+      expect.anything()
+    );
+  });
+
+  test('un evento reconocido conserva quién lo reconoció', async () => {
+    CrisisEvent.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: EVENT_ID, status: 'resolved' });
+
+    await resolveEvent(EVENT_ID, 'staff2');
+
+    const [filter, update] = CrisisEvent.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: EVENT_ID, status: 'acknowledged' });
+    expect(update.$set).not.toHaveProperty('acknowledgedBy');
+  });
+
+  test('un evento ya resuelto responde 409', async () => {
+    CrisisEvent.findOneAndUpdate.mockResolvedValue(null);
+    CrisisEvent.findById.mockResolvedValue({ _id: EVENT_ID, status: 'resolved' });
+
+    await expect(resolveEvent(EVENT_ID, 'staff1')).rejects.toMatchObject({
+      status: 409,
+      message: 'El evento ya está resuelto'
+    });
+  });
+});
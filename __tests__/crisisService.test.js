@@ -0,0 +1,123 @@
+const { assessCrisis, generateCrisisResponse } = require('../services/crisisService');
+
+describe('assessCrisis', () => {
+  describe('riesgo alto', () => {
+    test.each([
+      'quiero morir',
+      'estoy pensando en suicidarme',
+      'me voy a matar',
+      'me quiero matar',
+      'quiero matarme',
+      'tengo ganas de matarme',
+      'ya no quiero seguir viviendo',
+      'no quiero vivir así',
+      'quiero quitarme la vida',
+      'no tengo ganas de vivir',
+      'estoy sin ganas de vivir',
+      'voy a acabar con mi vida',
+      'I want to kill myself',
+      'I want to die'
+    ])('"%s"', (message) => {
+      const result = assessCrisis(message);
+
+      expect(result.level).toBe('high');
+      expect(result.isCrisis).toBe(true);
+    });
+  });
+
+  describe('riesgo medio', () => {
+    test.each([
+      'a veces pienso en cortarme',
+      'no puedo más con esto',
+      'no veo salida'
+    ])('"%s"', (message) => {
+      expect(assessCrisis(message).level).toBe('medium');
+    });
+  });
+
+  describe('variantes ortográficas', () => {
+    test.each([
+      'me kiero matar',
+      'pienso en el suisidio',
+      'QUIERO MORIRRR'
+    ])('"%s"', (message) => {
+      expect(assessCrisis(message).level).toBe('high');
+    });
+  });
+
+  describe('frases negadas', () => {
+    test.each([
+      'no quiero matarme',
+      'no me quiero morir',
+      'nunca voy a suicidarme',
+      'no pienso en suicidarme',
+      'jamás me quiero matar',
+      "I don't want to kill myself",
+      'I don’t want to die',
+      'I do not want to kill myself',
+      "I won't kill myself"
+    ])('"%s" no es una crisis, pero se reporta', (message) => {
+      const result = assessCrisis(message);
+
+      expect(result.level).toBe('low');
+      expect(result.isCrisis).toBe(false);
+      expect(result.negatedMatches.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('una negación cercana que no rige la frase no la oculta', () => {
+    test.each([
+      ['ya no aguanto quiero matarme', 'high'],
+      ['no aguanto más me voy a matar', 'high'],
+      ['no puedo más quiero morir', 'high'],
+      ['no sé qué hacer, quiero morir', 'high'],
+      ['no quiero lastimarme pero quiero morir', 'high']
+    ])('"%s" → %s', (message, level) => {
+      expect(assessCrisis(message).level).toBe(level);
+    });
+  });
+
+  describe('sin riesgo', () => {
+    test.each([
+      'hoy tuve un buen día en el trabajo',
+      'quiero seguir viviendo y mejorar',
+      ''
+    ])('"%s"', (message) => {
+      const result = assessCrisis(message);
+
+      expect(result.level).toBe('none');
+      expect(result.matches).toEqual([]);
+    });
+  });
+});
+
+describe('generateCrisisResponse', () => {
+  const resources = { countryName: 'Colombia', lines: [{ name: 'Línea 106', phone: '106' }] };
+  const safetyPlan = { supportContacts: [{ name: 'Ana', phone: '3001234567' }] };
+
+  test.each([
+    ['es', 'RECURSOS INMEDIATOS EN COLOMBIA', 'Personas a las que puedes llamar ahora'],
+    ['en', 'IMMEDIATE RESOURCES IN COLOMBIA', 'People you can call right now'],
+    ['pt', 'RECURSOS IMEDIATOS (COLOMBIA)', 'Pessoas para quem você pode ligar agora']
+  ])('responde en el idioma del usuario (%s)', (language, heading, contactsTitle) => {
+    const { message, urgency } = generateCrisisResponse('high', { resources, safetyPlan, language });
+
+    expect(message).toContain(heading);
+    expect(message).toContain(contactsTitle);
+    expect(message).toContain('• Línea 106: 106');
+    expect(urgency).toBe('immediate');
+  });
+
+  test('un idioma desconocido usa el español', () => {
+    const { message } = generateCrisisResponse('medium', { language: 'fr' });
+
+    expect(message).toContain('Comunícate con el número de emergencias de tu país');
+  });
+
+  test('sin recursos del país muestra indicaciones genéricas en el idioma del usuario', () => {
+    const { message } = generateCrisisResponse('high', { resources: { lines: [] }, language: 'en' });
+
+    expect(message).toContain('**IMMEDIATE RESOURCES:**');
+    expect(message).toContain("Call your country's emergency number");
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../models/User', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/Session', () => ({
+  exists: jest.fn()
+}));
+jest.mock('../services/mailService', () => ({
+  sendMail: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendMail } = require('../services/mailService');
+const {
+  registerFailedLogin,
+  isNewDevice,
+  sendNewDeviceAlert
+} = require('../services/loginProtectionService');
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Simula el contador que devuelve la base de datos tras el $inc
+const mockAttemptsInDb = (attempts) => {
+  User.findOneAndUpdate.mockReturnValue({
+    lean: () => Promise.resolve({ failedLoginAttempts: attempts })
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('registerFailedLogin', () => {
+  test('incrementa el contador en la base de datos y solo alarga el bloqueo con $max', async () => {
+    mockAttemptsInDb(1);
+
+    await registerFailedLogin({ _id: 'u1', failedLoginAttempts: 0 }, '1.2.3.4');
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'u1' },
+      expect.objectContaining({ $inc: { failedLoginAttempts: 1 } }),
+      expect.objectContaining({ new: true })
+    );
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'u1' },
+      { $max: { lockUntil: new Date(NOW.getTime() + SECOND) } }
+    );
+  });
+
+  test.each([
+    [1, SECOND],
+    [2, 2 * SECOND],
+    [4, 8 * SECOND],
+    [5, 15 * MINUTE],
+    [6, 30 * MINUTE],
+    [7, 60 * MINUTE],
+    [20, 24 * 60 * MINUTE]
+  ])('%i fallos → espera de %i ms', async (attempts, delayMs) => {
+    mockAttemptsInDb(attempts);
+
+    const result = await registerFailedLogin({ _id: 'u1' }, '1.2.3.4');
+
+    expect(result.attempts).toBe(attempts);
+    expect(result.lockUntil).toEqual(new Date(NOW.getTime() + delayMs));
+    expect(result.isLockedOut).toBe(attempts >= 5);
+  });
+
+  test('usa el contador devuelto por la base de datos, no el del documento leído antes', async () => {
+    // Varias peticiones en paralelo leyeron 0 fallos, pero esta es la quinta
+    mockAttemptsInDb(5);
+    const user = { _id: 'u1', failedLoginAttempts: 0 };
+
+    const result = await registerFailedLogin(user, '1.2.3.4');
+
+    expect(result.isLockedOut).toBe(true);
+    expect(user.failedLoginAttempts).toBe(5);
+    expect(user.lockUntil).toEqual(new Date(NOW.getTime() + 15 * MINUTE));
+  });
+});
+
+describe('isNewDevice', () => {
+  const device = { userAgent: 'Mozilla/5.0', deviceName: 'Pixel 8', ip: '1.2.3.4' };
+
+  // Session.exists responde según si el filtro incluye el dispositivo
+  const mockSessions = ({ hasSessions, knownDevice }) => {
+    Session.exists.mockImplementation((filter) => Promise.resolve(
+      'userAgent' in filter ? knownDevice : hasSessions
+    ));
+  };
+
+  test('el primer inicio de sesión de la cuenta no es un dispositivo nuevo', async () => {
+    mockSessions({ hasSessions: null, knownDevice: null });
+
+    await expect(isNewDevice({ _id: 'u1' }, device)).resolves.toBe(false);
+  });
+
+  test('un dispositivo con el mismo user agent y nombre ya es conocido', async () => {
+    mockSessions({ hasSessions: { _id: 's1' }, knownDevice: { _id: 's1' } });
+
+    await expect(isNewDevice({ _id: 'u1' }, device)).resolves.toBe(false);
+  });
+
+  test('con sesiones previas de otros dispositivos es nuevo', async () => {
+    mockSessions({ hasSessions: { _id: 's1' }, knownDevice: null });
+
+    await expect(isNewDevice({ _id: 'u1' }, device)).resolves.toBe(true);
+  });
+
+  test('compara user agent y nombre del dispositivo, con null si faltan', async () => {
+    mockSessions({ hasSessions: { _id: 's1' }, knownDevice: null });
+
+    await isNewDevice({ _id: 'u1' }, { userAgent: 'curl/8.0' });
+
+    expect(Session.exists).toHaveBeenCalledWith({ user: 'u1', userAgent: 'curl/8.0', deviceName: null });
+  });
+});
+
+describe('sendNewDeviceAlert', () => {
+  const buildUser = (securityAlerts) => ({
+    email: 'ana@example.com',
+    username: 'ana',
+    wantsSecurityAlerts: () => securityAlerts
+  });
+
+  test('envía el aviso por email', async () => {
+    await sendNewDeviceAlert(buildUser(true), { deviceName: 'Pixel 8' });
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@example.com' }));
+  });
+
+  test('no lo envía si el usuario desactivó los avisos de seguridad', async () => {
+    await expect(sendNewDeviceAlert(buildUser(false), {})).resolves.toBe(false);
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../services/tokenService', () => ({
+  revokeUserSessions: jest.fn().mockResolvedValue(['s1', 's2'])
+}));
+jest.mock('../services/mailService', () => ({
+  sendMail: jest.fn().mockResolvedValue(true),
+  buildAppLink: jest.fn((path, params) => `https://app.test${path}?token=${params.token}`)
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const { sendMail } = require('../services/mailService');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResetService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('requestPasswordReset', () => {
+  test('guarda solo el hash del token y envía el token en el enlace', async () => {
+    User.findOne.mockResolvedValue({ _id: 'u1', email: 'ana@example.com', username: 'ana' });
+
+    await requestPasswordReset('ana@example.com');
+
+    const { text } = sendMail.mock.calls[0][0];
+    const token = text.match(/token=([0-9a-f]{64})/)[1];
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'u1' },
+      { $set: { passwordResetTokenHash: sha256(token), passwordResetExpires: expect.any(Date) } }
+    );
+  });
+
+  test('no hace nada si el email no está registrado', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    await requestPasswordReset('nadie@example.com');
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('resetPassword', () => {
+  const buildUser = () => ({
+    _id: 'u1',
+    failedLoginAttempts: 3,
+    lockUntil: new Date(),
+    save: jest.fn().mockResolvedValue()
+  });
+
+  test('busca y consume el token vigente en una sola operación', async () => {
+    User.findOneAndUpdate.mockResolvedValue(buildUser());
+
+    await resetPassword('abc', 'Nueva123');
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { passwordResetTokenHash: sha256('abc'), passwordResetExpires: { $gt: expect.any(Date) } },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+  });
+
+  test('cambia la contraseña, desbloquea la cuenta y revoca las sesiones', async () => {
+    const user = buildUser();
+    User.findOneAndUpdate.mockResolvedValue(user);
+
+    const result = await resetPassword('abc', 'Nueva123');
+
+    expect(user.password).toBe('Nueva123');
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockUntil).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+    expect(tokenService.revokeUserSessions).toHaveBeenCalledWith('u1', 'password_change');
+    expect(result.revokedSessionIds).toEqual(['s1', 's2']);
+  });
+
+  test('un token inválido, expirado o ya usado da 400 sin tocar la cuenta', async () => {
+    User.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(resetPassword('abc', 'Nueva123')).rejects.toMatchObject({ status: 400 });
+    expect(tokenService.revokeUserSessions).not.toHaveBeenCalled();
+  });
+
+  test('de dos peticiones con el mismo enlace solo una tiene éxito', async () => {
+    User.findOneAndUpdate
+      .mockResolvedValueOnce(buildUser())
+      .mockResolvedValueOnce(null);
+
+    const results = await Promise.allSettled([
+      resetPassword('abc', 'Nueva123'),
+      resetPassword('abc', 'Otra1234')
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(tokenService.revokeUserSessions).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  THERAPY_STYLES,
+  COMMUNICATION_STYLES,
+  LANGUAGES,
+  composeSystemPrompt
+} = require('../services/promptComposer');
+
+const combinations = Object.keys(THERAPY_STYLES).flatMap(therapyStyle =>
+  Object.keys(COMMUNICATION_STYLES).flatMap(communicationStyle =>
+    Object.keys(LANGUAGES).map(language => [therapyStyle, communicationStyle, language])
+  )
+);
+
+describe('composeSystemPrompt', () => {
+  describe('preferencias', () => {
+    test.each(combinations)('%s / %s / %s', (therapyStyle, communicationStyle, language) => {
+      const prompt = composeSystemPrompt({
+        preferences: { therapyStyle, communicationStyle, language }
+      });
+
+      expect(prompt).toMatchSnapshot();
+    });
+  });
+
+  describe('contexto del mensaje', () => {
+    const preferences = { therapyStyle: 'cognitive', communicationStyle: 'supportive', language: 'es' };
+
+    test.each([
+      ['ánimo bajo', { currentMood: 2 }],
+      ['ánimo medio', { currentMood: 5 }],
+      ['ánimo alto', { currentMood: 9 }],
+      ['situación', { situation: 'Mañana tengo una entrevista de trabajo y no he dormido bien' }],
+      ['ánimo y situación', { currentMood: 3, situation: 'Discutí con mi hermana "otra vez"\ny no sé qué hacer' }]
+    ])('%s', (name, context) => {
+      expect(composeSystemPrompt({ preferences, context })).toMatchSnapshot();
+    });
+
+    test('ignora un estado de ánimo fuera de rango', () => {
+      const prompt = composeSystemPrompt({ preferences, context: { currentMood: 42 } });
+
+      expect(prompt).not.toContain('Contexto actual');
+    });
+  });
+
+  describe('datos de la persona', () => {
+    test('nombre y recuerdos', () => {
+      const prompt = composeSystemPrompt({
+        preferences: { language: 'pt' },
+        name: 'Camila',
+        memories: [
+          { content: 'Trabaja como enfermera en turnos de noche' },
+          { content: 'Salir a caminar le ayuda cuando está ansiosa' }
+        ]
+      });
+
+      expect(prompt).toMatchSnapshot();
+    });
+  });
+
+  test('usa las preferencias por defecto con valores desconocidos o vacíos', () => {
+    const defaults = composeSystemPrompt({
+      preferences: { therapyStyle: 'integrated', communicationStyle: 'supportive', language: 'es' }
+    });
+
+    expect(composeSystemPrompt()).toBe(defaults);
+    expect(composeSystemPrompt({ preferences: null })).toBe(defaults);
+    expect(composeSystemPrompt({
+      preferences: { therapyStyle: 'psychoanalytic', communicationStyle: 'sarcastic', language: 'fr' }
+    })).toBe(defaults);
+  });
+});
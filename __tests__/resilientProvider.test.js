@@ -0,0 +1,306 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { createResilientProvider } = require('../services/llm/resilientProvider');
+
+const OPTIONS = {
+  timeoutMs: 1000,
+  maxRetries: 2,
+  retryBaseMs: 100,
+  retryMaxMs: 1000,
+  failureThreshold: 3,
+  cooldownMs: 10000
+};
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Proveedor falso: cada llamada ejecuta el siguiente paso de la lista
+const createFakeProvider = (steps) => {
+  const calls = { complete: 0, stream: 0 };
+  const next = (kind, ...args) => {
+    const step = steps[Math.min(calls[kind], steps.length - 1)];
+    calls[kind]++;
+    return step(...args);
+  };
+
+  return {
+    calls,
+    provider: {
+      name: 'fake',
+      complete: (params) => next('complete', params),
+      stream: (params, onToken) => next('stream', params, onToken)
+    }
+  };
+};
+
+const ok = () => Promise.resolve({ content: 'ok', model: 'fake-model' });
+const fail = (status) => () => Promise.reject(httpError(status));
+const hang = () => new Promise(() => {});
+
+// Espera el resultado avanzando todos los temporizadores (timeouts y esperas entre reintentos)
+const settle = async (promise) => {
+  const outcome = promise.then(value => ({ value }), error => ({ error }));
+  await jest.runAllTimersAsync();
+  return outcome;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createResilientProvider', () => {
+  describe('reintentos', () => {
+    test.each([429, 500, 502, 503, 408])('reintenta un %i y devuelve la respuesta', async (status) => {
+      const { provider, calls } = createFakeProvider([fail(status), fail(status), ok]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const { value } = await settle(resilient.complete({}));
+
+      expect(value.content).toBe('ok');
+      expect(calls.complete).toBe(3);
+    });
+
+    test.each([400, 401, 403, 404, 422])('no reintenta un %i', async (status) => {
+      const { provider, calls } = createFakeProvider([fail(status), ok]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const { error } = await settle(resilient.complete({}));
+
+      expect(error.code).toBe('LLM_PROVIDER_ERROR');
+      expect(error.providerStatus).toBe(status);
+      expect(calls.complete).toBe(1);
+    });
+
+    test('reintenta los errores de red (sin status HTTP)', async () => {
+      const { provider, calls } = createFakeProvider([() => Promise.reject(new TypeError('fetch failed')), ok]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const { value } = await settle(resilient.complete({}));
+
+      expect(value.content).toBe('ok');
+      expect(calls.complete).toBe(2);
+    });
+
+    test('se detiene tras maxRetries reintentos', async () => {
+      const { provider, calls } = createFakeProvider([fail(503)]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const { error } = await settle(resilient.complete({}));
+
+      expect(error.code).toBe('LLM_PROVIDER_ERROR');
+      expect(calls.complete).toBe(OPTIONS.maxRetries + 1);
+    });
+
+    test('la espera entre reintentos tiene jitter acotado por el backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const { provider, calls } = createFakeProvider([fail(503), ok]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const promise = resilient.complete({});
+      await jest.advanceTimersByTimeAsync(49);
+      expect(calls.complete).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(calls.complete).toBe(2);
+      await expect(promise).resolves.toEqual(expect.objectContaining({ content: 'ok' }));
+
+      Math.random.mockRestore();
+    });
+  });
+
+  describe('timeouts', () => {
+    test('aborta el intento y lo reintenta; al agotar los reintentos falla con LLM_TIMEOUT', async () => {
+      const signals = [];
+      const { provider, calls } = createFakeProvider([(params) => {
+        signals.push(params.signal);
+        return hang();
+      }]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+
+      const { error } = await settle(resilient.complete({}));
+
+      expect(error.code).toBe('LLM_TIMEOUT');
+      expect(calls.complete).toBe(OPTIONS.maxRetries + 1);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+
+    test('en streaming cada fragmento reinicia el temporizador', async () => {
+      const { provider } = createFakeProvider([async (params, onToken) => {
+        for (let i = 0; i < 5; i++) {
+          await new Promise(resolve => setTimeout(resolve, OPTIONS.timeoutMs - 100));
+          onToken(`t${i}`);
+        }
+        return { content: 't0t1t2t3t4', model: 'fake-model' };
+      }]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+      const tokens = [];
+
+      const { value } = await settle(resilient.stream({}, token => tokens.push(token)));
+
+      expect(value.content).toBe('t0t1t2t3t4');
+      expect(tokens).toHaveLength(5);
+    });
+  });
+
+  describe('streaming', () => {
+    test('no reintenta un stream que ya emitió fragmentos', async () => {
+      const { provider, calls } = createFakeProvider([async (params, onToken) => {
+        onToken('Hola');
+        throw httpError(500);
+      }]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+      const tokens = [];
+
+      const { error } = await settle(resilient.stream({}, token => tokens.push(token)));
+
+      expect(error.code).toBe('LLM_PROVIDER_ERROR');
+      expect(calls.stream).toBe(1);
+      expect(tokens).toEqual(['Hola']);
+    });
+
+    test('reintenta un stream que falló antes de emitir', async () => {
+      const { provider, calls } = createFakeProvider([
+        fail(503),
+        async (params, onToken) => {
+          onToken('ok');
+          return { content: 'ok', model: 'fake-model' };
+        }
+      ]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+      const tokens = [];
+
+      const { value } = await settle(resilient.stream({}, token => tokens.push(token)));
+
+      expect(value.content).toBe('ok');
+      expect(calls.stream).toBe(2);
+      expect(tokens).toEqual(['ok']);
+    });
+  });
+
+  describe('cancelación', () => {
+    test('abortar params.signal cancela el intento sin reintentar ni contar para el circuito', async () => {
+      const signals = [];
+      const { provider, calls } = createFakeProvider([(params) => {
+        signals.push(params.signal);
+        return hang();
+      }]);
+      const resilient = createResilientProvider(provider, { ...OPTIONS, failureThreshold: 1 });
+      const controller = new AbortController();
+
+      const promise = resilient.stream({ signal: controller.signal }, () => {});
+      controller.abort();
+      const { error } = await settle(promise);
+
+      expect(error.code).toBe('LLM_ABORTED');
+      expect(calls.stream).toBe(1);
+      expect(signals[0].aborted).toBe(true);
+      expect(resilient.getCircuitState()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+    });
+
+    test('una señal ya abortada no llama al proveedor', async () => {
+      const { provider, calls } = createFakeProvider([ok]);
+      const resilient = createResilientProvider(provider, OPTIONS);
+      const controller = new AbortController();
+      controller.abort();
+
+      const { error } = await settle(resilient.complete({ signal: controller.signal }));
+
+      expect(error.code).toBe('LLM_ABORTED');
+      expect(calls.complete).toBe(0);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const breakerOptions = { ...OPTIONS, maxRetries: 0 };
+
+    const openCircuit = async (resilient) => {
+      for (let i = 0; i < breakerOptions.failureThreshold; i++) {
+        await settle(resilient.complete({}));
+      }
+    };
+
+    test('se abre tras failureThreshold fallos seguidos y falla sin llamar al proveedor', async () => {
+      const { provider, calls } = createFakeProvider([fail(503)]);
+      const resilient = createResilientProvider(provider, breakerOptions);
+
+      await openCircuit(resilient);
+      expect(resilient.getCircuitState().state).toBe('open');
+
+      const { error } = await settle(resilient.complete({}));
+
+      expect(error.code).toBe('LLM_CIRCUIT_OPEN');
+      expect(calls.complete).toBe(breakerOptions.failureThreshold);
+    });
+
+    test('los errores no transitorios no abren el circuito', async () => {
+      const { provider } = createFakeProvider([fail(400)]);
+      const resilient = createResilientProvider(provider, breakerOptions);
+
+      await openCircuit(resilient);
+
+      expect(resilient.getCircuitState()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+    });
+
+    test('un éxito reinicia el contador de fallos', async () => {
+      const { provider } = createFakeProvider([fail(503), fail(503), ok, fail(503), fail(503)]);
+      const resilient = createResilientProvider(provider, breakerOptions);
+
+      for (let i = 0; i < 5; i++) {
+        await settle(resilient.complete({}));
+      }
+
+      expect(resilient.getCircuitState()).toEqual(expect.objectContaining({ state: 'closed', failures: 2 }));
+    });
+
+    test('tras el enfriamiento deja pasar una sola llamada de prueba y se cierra si responde', async () => {
+      let succeed = false;
+      let releaseTrial;
+      const { provider, calls } = createFakeProvider([() => {
+        if (!succeed) return Promise.reject(httpError(503));
+        return new Promise(resolve => {
+          releaseTrial = () => resolve({ content: 'ok', model: 'fake-model' });
+        });
+      }]);
+      const resilient = createResilientProvider(provider, breakerOptions);
+
+      await openCircuit(resilient);
+      jest.advanceTimersByTime(breakerOptions.cooldownMs);
+      succeed = true;
+
+      const trial = resilient.complete({});
+      expect(resilient.getCircuitState().state).toBe('half-open');
+
+      // Mientras la prueba está en curso, el resto sigue fallando al instante
+      await expect(resilient.complete({})).rejects.toMatchObject({ code: 'LLM_CIRCUIT_OPEN' });
+
+      releaseTrial();
+      await expect(trial).resolves.toEqual(expect.objectContaining({ content: 'ok' }));
+
+      expect(resilient.getCircuitState().state).toBe('closed');
+      expect(calls.complete).toBe(breakerOptions.failureThreshold + 1);
+    });
+
+    test('si la llamada de prueba falla, vuelve a abrirse', async () => {
+      const { provider } = createFakeProvider([fail(503)]);
+      const resilient = createResilientProvider(provider, breakerOptions);
+
+      await openCircuit(resilient);
+      jest.advanceTimersByTime(breakerOptions.cooldownMs);
+
+      const { error } = await settle(resilient.complete({}));
+
+      expect(error.code).toBe('LLM_PROVIDER_ERROR');
+      expect(resilient.getCircuitState().state).toBe('open');
+
+      const { error: blocked } = await settle(resilient.complete({}));
+      expect(blocked.code).toBe('LLM_CIRCUIT_OPEN');
+    });
+  });
+});
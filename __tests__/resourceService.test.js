@@ -0,0 +1,46 @@
+jest.mock('../models/CrisisResource', () => ({
+  find: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const CrisisResource = require('../models/CrisisResource');
+const { resolveCountry, getCrisisResources } = require('../services/resourceService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('resolveCountry', () => {
+  test.each([
+    [{ country: 'mx', timezone: 'America/Bogota' }, 'MX'],
+    [{ timezone: 'America/Bogota' }, 'CO'],
+    [{ country: 'Colombia', timezone: 'Europe/Madrid' }, 'ES'],
+    [{ timezone: 'Asia/Tokyo' }, null],
+    [{}, null]
+  ])('%j → %p', (input, expected) => {
+    expect(resolveCountry(input)).toBe(expected);
+  });
+});
+
+describe('getCrisisResources', () => {
+  test('con una zona horaria sin país conocido devuelve la entrada genérica', async () => {
+    const resources = await getCrisisResources({ timezone: 'Asia/Tokyo' });
+
+    expect(resources).toEqual(expect.objectContaining({ country: null, lines: [], isGeneric: true }));
+    expect(CrisisResource.find).not.toHaveBeenCalled();
+  });
+
+  test('si la base de datos falla usa el directorio base del país', async () => {
+    CrisisResource.find.mockReturnValue({ lean: () => Promise.reject(new Error('sin conexión')) });
+
+    const resources = await getCrisisResources({ timezone: 'America/Bogota' });
+
+    expect(resources.country).toBe('CO');
+    expect(resources.isGeneric).toBe(false);
+    expect(resources.lines.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../models/Session', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const {
+  assertSecretsConfigured,
+  getRefreshSecret,
+  rotateRefreshToken
+} = require('../services/tokenService');
+
+const buildSession = (overrides = {}) => ({
+  _id: 's1',
+  user: 'u1',
+  currentJti: 'jti-actual',
+  isActive: () => true,
+  ...overrides
+});
+
+const decoded = { userId: 'u1', sid: 's1', jti: 'jti-actual' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+  test('rota el jti con una actualización condicional y emite un par nuevo', async () => {
+    Session.findById.mockResolvedValue(buildSession());
+    Session.findOneAndUpdate.mockResolvedValueOnce(buildSession({ currentJti: 'jti-nuevo' }));
+
+    const { tokens } = await rotateRefreshToken(decoded);
+
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 's1', currentJti: 'jti-actual', revokedAt: null },
+      expect.objectContaining({ $set: expect.objectContaining({ currentJti: expect.any(String) }) }),
+      { new: true }
+    );
+    expect(jwt.verify(tokens.refreshToken, getRefreshSecret())).toEqual(
+      expect.objectContaining({ userId: 'u1', sid: 's1', jti: 'jti-nuevo', type: 'refresh' })
+    );
+  });
+
+  test('un refresh token ya rotado revoca la sesión entera', async () => {
+    Session.findById.mockResolvedValue(buildSession({ currentJti: 'jti-nuevo' }));
+    // La condición currentJti no coincide: la rotación no encuentra el documento
+    Session.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ status: 401 });
+
+    expect(Session.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: 's1', revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'reuse' } },
+      { new: true }
+    );
+  });
+
+  test('rechaza una sesión revocada o expirada sin intentar rotarla', async () => {
+    Session.findById.mockResolvedValue(buildSession({ isActive: () => false }));
+
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ status: 401 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rechaza una sesión de otro usuario', async () => {
+    Session.findById.mockResolvedValue(buildSession({ user: 'u2' }));
+
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ status: 401 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rechaza tokens sin sid o jti (emitidos antes de las sesiones)', async () => {
+    await expect(rotateRefreshToken({ userId: 'u1' })).rejects.toMatchObject({ status: 401 });
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('assertSecretsConfigured', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const setEnv = (env) => {
+    delete process.env.JWT_SECRET;
+    delete process.env.JWT_REFRESH_SECRET;
+    delete process.env.TOTP_ENCRYPTION_KEY;
+    delete process.env.NODE_ENV;
+    Object.assign(process.env, env);
+  };
+
+  test.each(['development', 'test'])('con NODE_ENV=%s acepta los secretos de desarrollo', (nodeEnv) => {
+    setEnv({ NODE_ENV: nodeEnv });
+
+    expect(() => assertSecretsConfigured()).not.toThrow();
+  });
+
+  test.each([['production'], [undefined]])('con NODE_ENV=%s exige JWT_SECRET', (nodeEnv) => {
+    setEnv(nodeEnv ? { NODE_ENV: nodeEnv } : {});
+
+    expect(() => assertSecretsConfigured()).toThrow('JWT_SECRET no está configurado');
+  });
+
+  test('en producción también exige JWT_REFRESH_SECRET', () => {
+    setEnv({ NODE_ENV: 'production', JWT_SECRET: 'secreto' });
+
+    expect(() => assertSecretsConfigured()).toThrow('JWT_REFRESH_SECRET no está configurado');
+  });
+
+  test('en producción también exige TOTP_ENCRYPTION_KEY', () => {
+    setEnv({ NODE_ENV: 'production', JWT_SECRET: 'secreto', JWT_REFRESH_SECRET: 'otro' });
+
+    expect(() => assertSecretsConfigured()).toThrow('TOTP_ENCRYPTION_KEY no está configurado');
+  });
+
+  test('en producción pasa con todos los secretos', () => {
+    setEnv({ NODE_ENV: 'production', JWT_SECRET: 'secreto', JWT_REFRESH_SECRET: 'otro', TOTP_ENCRYPTION_KEY: 'clave' });
+
+    expect(() => assertSecretsConfigured()).not.toThrow();
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode
+} = require('../services/totpService');
+
+// Secreto de los vectores de prueba del RFC 6238 (apéndice B, HMAC-SHA1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('base32', () => {
+  test('codifica el secreto del RFC como lo hacen las apps de autenticación', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('decodificar invierte la codificación e ignora espacios, guiones y minúsculas', () => {
+    const bytes = Buffer.from('mindsync');
+
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(base32Decode('gezd-gnbv gy3t-qojq')).toEqual(base32Decode('GEZDGNBVGY3TQOJQ'));
+  });
+
+  test('rechaza caracteres fuera del alfabeto', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Secreto base32 inválido');
+  });
+});
+
+describe('generateCode', () => {
+  // Los últimos 6 dígitos de los códigos de 8 dígitos del RFC
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('T = %i s → %s', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = stepAt(1111111111);
+
+  test('devuelve el paso que coincidió', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  test('acepta un paso de desfase hacia cada lado, no más', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  test('rechaza un código ya usado (paso igual o anterior a lastUsedStep)', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { time, lastUsedStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '050471', { time, lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  test.each([undefined, 50471, '05047', '0504711', 'abcdef'])('rechaza el formato %p', (code) => {
+    expect(verifyCode(RFC_SECRET, code, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('incluye el emisor en la etiqueta y los parámetros del algoritmo', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ana@example.com' });
+
+    expect(uri).toBe(
+      'otpauth://totp/MindSync%3Aana%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+      '&issuer=MindSync&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const User = require('../models/User');
+const totpService = require('../services/totpService');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+
+const ENCRYPTED = /^v1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/;
+
+const mockUser = (twoFactor) => {
+  const user = {
+    _id: 'u1',
+    email: 'ana@example.com',
+    twoFactor: { enabled: false, ...twoFactor },
+    save: jest.fn().mockResolvedValue()
+  };
+  User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+  return user;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('cifrado del secreto TOTP', () => {
+  test('el secreto pendiente se guarda cifrado y el cliente recibe el original', async () => {
+    const user = mockUser();
+
+    const { secret } = await startEnrollment('u1');
+
+    expect(user.twoFactor.pendingSecret).toMatch(ENCRYPTED);
+    expect(user.twoFactor.pendingSecret).not.toContain(secret);
+  });
+
+  test('cada cifrado usa un IV distinto', async () => {
+    const user = mockUser();
+    await startEnrollment('u1');
+    const first = user.twoFactor.pendingSecret;
+
+    user.twoFactor.pendingSecret = undefined;
+    await startEnrollment('u1');
+
+    expect(user.twoFactor.pendingSecret).not.toBe(first);
+  });
+
+  test('al confirmar, el secreto activo queda cifrado y sirve para verificar códigos', async () => {
+    const user = mockUser();
+    const { secret } = await startEnrollment('u1');
+
+    await confirmEnrollment('u1', totpService.generateCode(secret));
+
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+    expect(user.twoFactor.secret).toMatch(ENCRYPTED);
+
+    user.twoFactor.lastUsedStep = -1;
+    await expect(verifySecondFactor(user, totpService.generateCode(secret))).resolves.toBe('totp');
+  });
+
+  test('un secreto antiguo sin cifrar sigue funcionando y se cifra al usarlo', async () => {
+    const secret = totpService.generateSecret();
+    const user = mockUser({ enabled: true, secret, lastUsedStep: -1 });
+
+    await expect(verifySecondFactor(user, totpService.generateCode(secret))).resolves.toBe('totp');
+
+    const [, update] = User.updateOne.mock.calls[0];
+    expect(update.$set['twoFactor.secret']).toMatch(ENCRYPTED);
+  });
+
+  test('un secreto ya cifrado no se vuelve a escribir', async () => {
+    const user = mockUser();
+    const { secret } = await startEnrollment('u1');
+    await confirmEnrollment('u1', totpService.generateCode(secret));
+    user.twoFactor.lastUsedStep = -1;
+
+    await verifySecondFactor(user, totpService.generateCode(secret));
+
+    const [, update] = User.updateOne.mock.calls[0];
+    expect(update.$set).not.toHaveProperty(['twoFactor.secret']);
+  });
+});
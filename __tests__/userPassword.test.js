@@ -0,0 +1,67 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+
+const buildUser = (password) => new User({ username: 'ana', email: 'ana@example.com', password });
+
+const originalCost = process.env.BCRYPT_COST;
+
+beforeEach(() => {
+  process.env.BCRYPT_COST = '4';
+});
+
+afterAll(() => {
+  if (originalCost === undefined) {
+    delete process.env.BCRYPT_COST;
+  } else {
+    process.env.BCRYPT_COST = originalCost;
+  }
+});
+
+describe('comparePassword', () => {
+  test('compara contra el hash bcrypt', async () => {
+    const user = buildUser(await bcrypt.hash('secreto123', 4));
+
+    await expect(user.comparePassword('secreto123')).resolves.toBe(true);
+    await expect(user.comparePassword('secreto124')).resolves.toBe(false);
+  });
+
+  test('acepta las contraseñas antiguas guardadas sin hashear', async () => {
+    const user = buildUser('secreto123');
+
+    await expect(user.comparePassword('secreto123')).resolves.toBe(true);
+    await expect(user.comparePassword('secreto12')).resolves.toBe(false);
+    await expect(user.comparePassword('secreto1234')).resolves.toBe(false);
+  });
+
+  test.each([undefined, null, ''])('rechaza la contraseña vacía %p', async (candidate) => {
+    const user = buildUser('secreto123');
+
+    await expect(user.comparePassword(candidate)).resolves.toBe(false);
+  });
+});
+
+describe('needsPasswordRehash', () => {
+  test('una contraseña sin hashear necesita migrarse', () => {
+    expect(buildUser('secreto123').needsPasswordRehash()).toBe(true);
+  });
+
+  test('un hash con el costo configurado no', async () => {
+    const user = buildUser(await bcrypt.hash('secreto123', 4));
+
+    expect(user.needsPasswordRehash()).toBe(false);
+  });
+
+  test('un hash con menos costo que BCRYPT_COST sí', async () => {
+    const user = buildUser(await bcrypt.hash('secreto123', 4));
+    process.env.BCRYPT_COST = '5';
+
+    expect(user.needsPasswordRehash()).toBe(true);
+  });
+
+  test('un BCRYPT_COST fuera de rango usa el costo por defecto (12)', async () => {
+    const user = buildUser(await bcrypt.hash('secreto123', 4));
+    process.env.BCRYPT_COST = '40';
+
+    expect(user.needsPasswordRehash()).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+// Directorio base de recursos de crisis por país (ISO 3166-1 alfa-2).
+// Se usa cuando no hay una entrada guardada en la base de datos; los
+// administradores pueden reemplazar cualquier entrada desde la API.
+
+const DEFAULT_CRISIS_RESOURCES = {
+  CO: {
+    countryName: 'Colombia',
+    emergencyNumber: '123',
+    lines: [
+      {
+        name: 'Línea Nacional de Emergencias',
+        phone: '123',
+        description: 'Policía, ambulancias y atención de emergencias',
+        available24h: true
+      },
+      {
+        name: 'Línea 192 opción 4 - Salud mental (Ministerio de Salud)',
+        phone: '192',
+        description: 'Orientación psicológica y en salud mental',
+        available24h: true
+      },
+      {
+        name: 'Línea 106 - El poder de ser escuchado',
+        phone: '106',
+        description: 'Escucha y apoyo emocional (Bogotá y otros departamentos)',
+        available24h: true
+      }
+    ]
+  },
+  MX: {
+    countryName: 'México',
+    emergencyNumber: '911',
+    lines: [
+      {
+        name: 'Emergencias',
+        phone: '911',
+        available24h: true
+      },
+      {
+        name: 'Línea de la Vida',
+        phone: '800 911 2000',
+        description: 'Atención en crisis y prevención del suicidio',
+        available24h: true
+      }
+    ]
+  },
+  ES: {
+    countryName: 'España',
+    emergencyNumber: '112',
+    lines: [
+      {
+        name: 'Emergencias',
+        phone: '112',
+        available24h: true
+      },
+      {
+        name: 'Línea 024 - Atención a la conducta suicida',
+        phone: '024',
+        available24h: true
+      }
+    ]
+  },
+  US: {
+    countryName: 'Estados Unidos',
+    emergencyNumber: '911',
+    lines: [
+      {
+        name: 'Emergencias',
+        phone: '911',
+        available24h: true
+      },
+      {
+        name: '988 Suicide & Crisis Lifeline (atención en español)',
+        phone: '988',
+        url: 'https://988lifeline.org/es/',
+        available24h: true
+      }
+    ]
+  }
+};
+
+// Zona horaria → país, para usuarios sin país en el perfil
+const TIMEZONE_COUNTRIES = {
+  'America/Bogota': 'CO',
+  'America/Mexico_City': 'MX',
+  'America/Monterrey': 'MX',
+  'America/Merida': 'MX',
+  'America/Cancun': 'MX',
+  'America/Chihuahua': 'MX',
+  'America/Hermosillo': 'MX',
+  'America/Mazatlan': 'MX',
+  'America/Tijuana': 'MX',
+  'Europe/Madrid': 'ES',
+  'Atlantic/Canary': 'ES',
+  'Africa/Ceuta': 'ES',
+  'America/New_York': 'US',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Phoenix': 'US',
+  'America/Los_Angeles': 'US',
+  'America/Anchorage': 'US',
+  'Pacific/Honolulu': 'US'
+};
+
+module.exports = {
+  DEFAULT_CRISIS_RESOURCES,
+  TIMEZONE_COUNTRIES
+};
@@ -0,0 +1,42 @@
+// Planes de suscripción. weeklySessionLimit es el número de conversaciones
+// nuevas por semana (de lunes a domingo en la zona horaria del usuario);
+// null significa ilimitado.
+
+const DEFAULT_PLAN = 'free';
+
+const PLANS = {
+  free: {
+    name: 'Gratis',
+    weeklySessionLimit: 3,
+    features: {
+      chat: true,
+      moodTracking: true,
+      safetyPlan: true,
+      crisisResources: true,
+      realtimeChat: true,
+      advancedInsights: false,
+      prioritySupport: false
+    }
+  },
+  premium: {
+    name: 'Premium',
+    weeklySessionLimit: null,
+    features: {
+      chat: true,
+      moodTracking: true,
+      safetyPlan: true,
+      crisisResources: true,
+      realtimeChat: true,
+      advancedInsights: true,
+      prioritySupport: true
+    }
+  }
+};
+
+const getPlan = (planId) => PLANS[planId] || PLANS[DEFAULT_PLAN];
+
+module.exports = {
+  DEFAULT_PLAN,
+  PLANS,
+  getPlan
+};
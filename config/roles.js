@@ -0,0 +1,53 @@
+// Roles y permisos. Las rutas declaran los permisos que necesitan con
+// requirePermission(...) y nunca comprueban el nombre del rol directamente.
+//
+//   user               usuario de la app (sin permisos administrativos)
+//   counselor          consejero: revisa y atiende eventos de crisis
+//   institution_admin  consulta el estado de las cuentas y hace seguimiento de crisis
+//   superadmin         todo, incluido asignar roles, editar recursos globales y los prompts del asistente
+
+const ROLES = ['user', 'counselor', 'institution_admin', 'superadmin'];
+
+const DEFAULT_ROLE = 'user';
+
+const PERMISSIONS = {
+  CRISIS_READ: 'crisis:read',
+  CRISIS_MANAGE: 'crisis:manage',
+  RESOURCES_MANAGE: 'resources:manage',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_ASSIGN: 'roles:assign',
+  PROMPTS_MANAGE: 'prompts:manage'
+};
+
+const COUNSELOR_PERMISSIONS = [
+  PERMISSIONS.CRISIS_READ,
+  PERMISSIONS.CRISIS_MANAGE
+];
+
+// Sin USERS_MANAGE: los usuarios no pertenecen a una institución, así que
+// desactivar o desbloquear cuentas afectaría a las de cualquier institución
+const INSTITUTION_ADMIN_PERMISSIONS = [
+  ...COUNSELOR_PERMISSIONS,
+  PERMISSIONS.USERS_READ
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  counselor: COUNSELOR_PERMISSIONS,
+  institution_admin: INSTITUTION_ADMIN_PERMISSIONS,
+  superadmin: Object.values(PERMISSIONS)
+};
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
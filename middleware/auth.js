@@ -1,76 +1,110 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getAccessSecret, verifyRefreshToken, findActiveSession } = require('../services/tokenService');
+const { hasPermission } = require('../config/roles');
+const logger = require('../logger');
 
-// Middleware para verificar token JWT (bearer token)
-const auth = async (req, res, next) => {
+// Error de autenticación con su status HTTP y un código legible por el cliente
+class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const extractBearerToken = (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.substring(7).trim() || null;
+};
+
+/**
+ * Verifica un access token y devuelve { user, decoded }. Es la única
+ * comprobación de JWT de acceso: la usan el middleware `auth` y el namespace
+ * de Socket.IO. Lanza AuthError:
+ *   401 TOKEN_MISSING / TOKEN_INVALID / TOKEN_EXPIRED / SESSION_REVOKED
+ *   403 ACCOUNT_DISABLED
+ */
+const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw new AuthError(401, 'TOKEN_MISSING', 'Token de acceso requerido');
+  }
+
+  let decoded;
   try {
-    // Obtener token del header Authorization
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader) {
-      return res.status(401).json({ 
-        error: 'Token de acceso requerido. No se proporcionó token.' 
-      });
+    decoded = jwt.verify(token, getAccessSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError(401, 'TOKEN_EXPIRED', 'Token de acceso expirado');
     }
-
-    // Verificar formato del token
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'Formato de token inválido. Use: Bearer <token>' 
-      });
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      throw new AuthError(401, 'TOKEN_INVALID', 'Token de acceso inválido');
     }
+    throw error;
+  }
 
-    // Extraer token (quitar "Bearer ")
-    const token = authHeader.substring(7);
+  // Refresh tokens, tokens de verificación de email o de 2FA no sirven como acceso
+  if (decoded.type !== 'access') {
+    throw new AuthError(401, 'TOKEN_INVALID', 'Tipo de token inválido');
+  }
 
-    if (!token) {
-      return res.status(401).json({ 
-        error: 'Token de acceso requerido.' 
-      });
-    }
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw new AuthError(401, 'TOKEN_INVALID', 'Usuario no encontrado');
+  }
 
-    // Verificar y decodificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Buscar usuario en la base de datos
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'Token inválido. Usuario no encontrado.' 
-      });
-    }
+  if (!user.isActive) {
+    throw new AuthError(403, 'ACCOUNT_DISABLED', 'Cuenta desactivada. Contacta al soporte.');
+  }
 
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        error: 'Cuenta desactivada. Contacta al soporte.' 
-      });
-    }
+  // Rechazar tokens de sesiones revocadas o expiradas
+  const session = await findActiveSession(decoded.sid, user._id);
+  if (!session) {
+    throw new AuthError(401, 'SESSION_REVOKED', 'Sesión revocada o expirada. Inicia sesión nuevamente.');
+  }
 
-    // Agregar usuario al objeto request
-    req.user = {
-      userId: user._id,
-      email: user.email,
-      subscriptionPlan: user.subscriptionPlan,
-      canStartSession: user.canStartSession()
-    };
+  return { user, decoded };
+};
+
+/**
+ * Middleware de autenticación de todas las rutas protegidas. Deja en la request:
+ *   req.user      documento del usuario (toJSON oculta los campos sensibles)
+ *   req.userId    id del usuario como string
+ *   req.sessionId id de la sesión (dispositivo) del token
+ */
+const auth = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req.header('Authorization'));
+    const { user, decoded } = await verifyAccessToken(token);
+
+    req.user = user;
+    req.userId = user._id.toString();
+    req.sessionId = decoded.sid;
 
     next();
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Token de acceso inválido.' 
+    if (error instanceof AuthError) {
+      logger.warn('Autenticación rechazada', { 
+        code: error.code, 
+        path: req.originalUrl, 
+        ip: req.ip 
       });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token de acceso expirado. Por favor inicia sesión nuevamente.' 
+      
+      return res.status(error.status).json({ 
+        error: error.message, 
+        code: error.code 
       });
     }
 
-    console.error('Error en middleware de autenticación:', error);
+    logger.error('Error en middleware de autenticación', { 
+      error: error.message, 
+      path: req.originalUrl 
+    });
     res.status(500).json({ 
       error: 'Error interno del servidor' 
     });
@@ -85,45 +119,50 @@ const refreshTokenAuth = async (req, res, next) => {
     
     if (!refreshToken) {
       return res.status(401).json({ 
-        error: 'Refresh token requerido.' 
+        error: 'Refresh token requerido.',
+        code: 'TOKEN_MISSING'
       });
     }
 
-    // Verificar refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    // Verificar refresh token (firma, expiración y tipo)
+    const decoded = verifyRefreshToken(refreshToken);
     
     // Buscar usuario
     const user = await User.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ 
-        error: 'Usuario no encontrado.' 
+        error: 'Usuario no encontrado.',
+        code: 'TOKEN_INVALID'
       });
     }
 
     if (!user.isActive) {
-      return res.status(401).json({ 
-        error: 'Cuenta desactivada.' 
+      return res.status(403).json({ 
+        error: 'Cuenta desactivada. Contacta al soporte.',
+        code: 'ACCOUNT_DISABLED'
       });
     }
 
-    // Agregar información del usuario al request
-    req.user = {
-      userId: user._id
-    };
+    // Agregar información del usuario y del token al request
+    req.user = user;
+    req.userId = user._id.toString();
+    req.refreshToken = decoded;
 
     next();
 
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
-        error: 'Refresh token inválido.' 
+        error: 'Refresh token inválido.',
+        code: 'TOKEN_INVALID'
       });
     }
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
-        error: 'Refresh token expirado. Inicia sesión nuevamente.' 
+        error: 'Refresh token expirado. Inicia sesión nuevamente.',
+        code: 'TOKEN_EXPIRED'
       });
     }
 
@@ -144,37 +183,91 @@ const requirePremium = (req, res, next) => {
   next();
 };
 
-// Middleware para verificar si el usuario puede iniciar sesión
-const checkSessionLimit = async (req, res, next) => {
+// Middleware de autorización (usar después de auth): exige todos los permisos
+// indicados, según el rol del usuario (ver config/roles.js)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user || !hasPermission(req.user.role, permission));
+
+    if (missing.length > 0) {
+      logger.warn('Permiso denegado', { 
+        userId: req.userId, 
+        role: req.user && req.user.role, 
+        missing, 
+        path: req.originalUrl 
+      });
+      
+      return res.status(403).json({ 
+        error: 'No tienes permisos para realizar esta acción.',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+};
+
+// Middleware que reserva una sesión del cupo semanal del plan (usar después de auth)
+// antes de crear una conversación. Deja la reserva en req.sessionReservation para
+// liberarla si la conversación no llega a crearse.
+const reserveSession = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.userId);
-    
-    if (!user.canStartSession()) {
+    const reservation = await User.reserveSession(req.user._id);
+
+    if (!reservation.reserved) {
+      // Cupo con el contador actual, no con el del documento cargado por auth
+      const user = await User.findById(req.user._id);
       return res.status(429).json({
-        error: 'Límite de sesiones alcanzado para tu plan actual.',
+        error: 'Alcanzaste el límite semanal de sesiones de tu plan.',
+        code: 'SESSION_LIMIT_REACHED',
         subscriptionPlan: user.subscriptionPlan,
-        currentSessions: user.stats.sessionsThisWeek
+        quota: user.getSessionQuota()
       });
     }
-    
+
+    req.sessionReservation = reservation;
     next();
+
   } catch (error) {
-    console.error('Error verificando límite de sesiones:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    logger.error('Error reservando sesión semanal', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    res.status(500).json({ 
+      error: 'Error interno del servidor' 
+    });
+  }
+};
+
+// Middleware para el límite semanal de sesiones en el chat: solo reserva cuando
+// el mensaje abre una conversación nueva (sin conversationId)
+const checkSessionLimit = (req, res, next) => {
+  if (req.body && req.body.conversationId) {
+    return next();
   }
+
+  return reserveSession(req, res, next);
 };
 
-// Middleware para verificar verificación de email
+// Middleware para exigir email verificado (usar después de la autenticación)
 const requireEmailVerification = (req, res, next) => {
-  // Esta funcionalidad se puede implementar más adelante
-  // Por ahora, la saltamos
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({ 
+      error: 'Debes verificar tu email para usar esta funcionalidad.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
   next();
 };
 
 module.exports = {
+  AuthError,
+  extractBearerToken,
+  verifyAccessToken,
   auth,
   refreshTokenAuth,
   requirePremium,
+  requirePermission,
+  reserveSession,
   checkSessionLimit,
   requireEmailVerification
 };
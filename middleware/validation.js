@@ -1,4 +1,15 @@
 const Joi = require('joi');
+const { isValidTimezone } = require('../utils/timezone');
+const UserMemory = require('../models/UserMemory');
+
+const MEMORY_CATEGORIES = UserMemory.schema.path('category').enumValues;
+
+// Zona horaria IANA válida (por ejemplo America/Bogota)
+const timezoneRule = Joi.string()
+  .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+  .messages({
+    'any.invalid': 'Zona horaria inválida. Usa un identificador IANA, por ejemplo America/Bogota'
+  });
 
 // Esquema para validación de registro
 const registerSchema = Joi.object({
@@ -55,7 +66,7 @@ const registerSchema = Joi.object({
       'any.only': 'Género debe ser: male, female, non-binary, o prefer-not-to-say'
     }),
   
-  timezone: Joi.string()
+  timezone: timezoneRule
     .optional()
     .default('America/Bogota'),
   
@@ -78,6 +89,7 @@ const registerSchema = Joi.object({
     notificationSettings: Joi.object({
       pushEnabled: Joi.boolean().optional(),
       emailEnabled: Joi.boolean().optional(),
+      securityAlerts: Joi.boolean().optional(),
       frequency: Joi.string()
         .valid('immediate', 'daily', 'weekly', 'monthly')
         .optional()
@@ -117,6 +129,16 @@ const chatSchema = Joi.object({
       'any.required': 'El mensaje es requerido'
     }),
   
+  // Sin conversationId se inicia una conversación nueva
+  conversationId: Joi.string()
+    .hex()
+    .length(24)
+    .optional()
+    .messages({
+      'string.hex': 'conversationId inválido',
+      'string.length': 'conversationId inválido'
+    }),
+  
   context: Joi.object({
     currentMood: Joi.number()
       .min(1)
@@ -164,7 +186,23 @@ const updateProfileSchema = Joi.object({
       'any.only': 'Género debe ser: male, female, non-binary, o prefer-not-to-say'
     }),
   
-  timezone: Joi.string()
+  timezone: timezoneRule
+    .optional(),
+  
+  country: Joi.string()
+    .trim()
+    .length(2)
+    .pattern(/^[A-Za-z]{2}$/)
+    .uppercase()
+    .optional()
+    .messages({
+      'string.length': 'El país debe ser un código ISO de 2 letras',
+      'string.pattern.base': 'El país debe ser un código ISO de 2 letras'
+    }),
+  
+  city: Joi.string()
+    .trim()
+    .max(100)
     .optional(),
   
   preferences: Joi.object({
@@ -183,16 +221,35 @@ const updateProfileSchema = Joi.object({
     crisisSupport: Joi.boolean()
       .optional(),
     
+    memoryEnabled: Joi.boolean()
+      .optional(),
+    
     notificationSettings: Joi.object({
       pushEnabled: Joi.boolean().optional(),
       emailEnabled: Joi.boolean().optional(),
+      securityAlerts: Joi.boolean().optional(),
       frequency: Joi.string()
         .valid('immediate', 'daily', 'weekly', 'monthly')
         .optional()
     }).optional()
   }).optional()
+}).min(1).messages({
+  'object.min': 'Debes enviar al menos un campo para actualizar'
 });
 
+// Reglas de la nueva contraseña (cambio y recuperación de contraseña)
+const newPasswordRule = Joi.string()
+  .min(8)
+  .max(128)
+  .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+  .required()
+  .messages({
+    'string.min': 'La nueva contraseña debe tener al menos 8 caracteres',
+    'string.max': 'La nueva contraseña no puede exceder 128 caracteres',
+    'string.pattern.base': 'La nueva contraseña debe incluir al menos una minúscula, una mayúscula, un número y un carácter especial',
+    'any.required': 'La nueva contraseña es requerida'
+  });
+
 // Esquema para validación de cambio de contraseña
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string()
@@ -201,17 +258,99 @@ const changePasswordSchema = Joi.object({
       'any.required': 'La contraseña actual es requerida'
     }),
   
-  newPassword: Joi.string()
-    .min(8)
-    .max(128)
-    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+  newPassword: newPasswordRule
+});
+
+// Esquema para solicitar la recuperación de contraseña
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
     .required()
     .messages({
-      'string.min': 'La nueva contraseña debe tener al menos 8 caracteres',
-      'string.max': 'La nueva contraseña no puede exceder 128 caracteres',
-      'string.pattern.base': 'La nueva contraseña debe incluir al menos una minúscula, una mayúscula, un número y un carácter especial',
-      'any.required': 'La nueva contraseña es requerida'
+      'string.email': 'Por favor ingresa un email válido',
+      'any.required': 'El email es requerido'
+    })
+});
+
+// Esquema para restablecer la contraseña con el token recibido por email
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Token de recuperación inválido',
+      'string.length': 'Token de recuperación inválido',
+      'any.required': 'El token de recuperación es requerido'
+    }),
+  
+  newPassword: newPasswordRule
+});
+
+// Código de la app de autenticación (6 dígitos) o código de respaldo (xxxx-xxxx)
+const twoFactorCodeRule = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[A-Za-z0-9]{4}-?[A-Za-z0-9]{4})$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'El código debe tener 6 dígitos o ser un código de respaldo',
+    'any.required': 'El código de verificación es requerido'
+  });
+
+// Esquema para confirmar la verificación en dos pasos o regenerar códigos de respaldo
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCodeRule
+});
+
+// Esquema para el segundo paso del login
+const twoFactorLoginSchema = Joi.object({
+  twoFactorToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'El token de verificación es requerido'
+    }),
+  
+  code: twoFactorCodeRule,
+  
+  deviceName: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+});
+
+// Esquema para desactivar la verificación en dos pasos
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'La contraseña es requerida'
+    }),
+  
+  code: twoFactorCodeRule
+});
+
+// Esquema para editar un recuerdo del asistente
+const memoryUpdateSchema = Joi.object({
+  content: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .optional()
+    .messages({
+      'string.min': 'El recuerdo debe tener al menos 3 caracteres',
+      'string.max': 'El recuerdo no puede exceder 500 caracteres'
+    }),
+  
+  category: Joi.string()
+    .valid(...MEMORY_CATEGORIES)
+    .optional()
+    .messages({
+      'any.only': `La categoría debe ser una de: ${MEMORY_CATEGORIES.join(', ')}`
     })
+}).min(1).messages({
+  'object.min': 'Debes enviar al menos un campo para actualizar'
 });
 
 // Esquema para validación de entrada de estado de ánimo
@@ -222,16 +361,140 @@ const moodEntrySchema = Joi.object({
     .max(10)
     .required()
     .messages({
+      'number.base': 'El estado de ánimo debe ser un número entre 1 y 10',
+      'number.integer': 'El estado de ánimo debe ser un número entero',
       'number.min': 'El estado de ánimo debe estar entre 1 y 10',
       'number.max': 'El estado de ánimo debe estar entre 1 y 10',
       'any.required': 'El estado de ánimo es requerido'
     }),
   
-  context: Joi.string()
+  note: Joi.string()
+    .trim()
+    .allow('')
     .max(500)
+    .default('')
+    .messages({
+      'string.max': 'La nota no puede exceder 500 caracteres'
+    }),
+
+  // Zona horaria IANA del registro; si falta o no es válida se usa la del perfil
+  timezone: Joi.string()
+    .max(64)
+    .optional()
+});
+
+// Esquema para validación de recursos de crisis (administración)
+const crisisResourceSchema = Joi.object({
+  city: Joi.string()
+    .trim()
+    .max(100)
     .optional()
+    .allow(null),
+  
+  countryName: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'El nombre del país es requerido'
+    }),
+  
+  emergencyNumber: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'any.required': 'El número de emergencias es requerido'
+    }),
+  
+  lines: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().trim().max(150).required(),
+      phone: Joi.string().trim().max(50).optional(),
+      url: Joi.string().uri().max(300).optional(),
+      description: Joi.string().trim().max(300).optional(),
+      available24h: Joi.boolean().optional()
+    }).or('phone', 'url'))
+    .min(1)
+    .max(20)
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos una línea de ayuda',
+      'object.missing': 'Cada línea necesita un teléfono o una URL',
+      'any.required': 'Las líneas de ayuda son requeridas'
+    })
+});
+
+// Esquema para validación del plan de seguridad (Stanley-Brown)
+const safetyPlanStep = Joi.string().trim().min(1).max(300);
+
+const safetyPlanContact = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  phone: Joi.string().trim().max(50).optional(),
+  relationship: Joi.string().trim().max(100).optional()
+});
+
+const safetyPlanSchema = Joi.object({
+  warningSigns: Joi.array().items(safetyPlanStep).max(20).default([]),
+  copingStrategies: Joi.array().items(safetyPlanStep).max(20).default([]),
+  distractions: Joi.object({
+    people: Joi.array().items(safetyPlanContact).max(20).default([]),
+    places: Joi.array().items(safetyPlanStep).max(20).default([])
+  }).default(),
+  supportContacts: Joi.array().items(safetyPlanContact).max(20).default([]),
+  professionals: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    phone: Joi.string().trim().max(50).optional(),
+    organization: Joi.string().trim().max(150).optional()
+  })).max(20).default([]),
+  environmentSafety: Joi.array().items(safetyPlanStep).max(20).default([])
+}).messages({
+  'array.max': 'Cada sección admite máximo 20 elementos'
+});
+
+// Esquemas para el registro de prompts versionados (administración)
+const promptVersionSchema = Joi.object({
+  content: Joi.string()
+    .trim()
+    .min(50)
+    .max(20000)
+    .required()
+    .messages({
+      'string.min': 'El prompt debe tener al menos 50 caracteres',
+      'string.max': 'El prompt no puede exceder 20000 caracteres',
+      'any.required': 'El contenido del prompt es requerido'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .optional(),
+
+  params: Joi.object({
+    model: Joi.string().trim().max(100).optional(),
+    maxTokens: Joi.number().integer().min(50).max(4000).optional(),
+    temperature: Joi.number().min(0).max(2).optional(),
+    topP: Joi.number().min(0).max(1).optional(),
+    presencePenalty: Joi.number().min(-2).max(2).optional(),
+    frequencyPenalty: Joi.number().min(-2).max(2).optional()
+  }).default({})
+});
+
+const promptExperimentSchema = Joi.object({
+  variants: Joi.array()
+    .items(Joi.object({
+      version: Joi.number().integer().min(1).required(),
+      weight: Joi.number().integer().min(1).max(100).required()
+    }))
+    .min(2)
+    .max(5)
+    .unique('version')
+    .required()
     .messages({
-      'string.max': 'El contexto no puede exceder 500 caracteres'
+      'array.min': 'Un experimento necesita al menos dos versiones',
+      'array.max': 'Un experimento admite máximo 5 versiones',
+      'array.unique': 'Cada versión puede aparecer una sola vez',
+      'any.required': 'Las variantes del experimento son requeridas'
     })
 });
 
@@ -320,9 +583,20 @@ const validateLogin = validate(loginSchema);
 const validateChat = validate(chatSchema);
 const validateUpdateProfile = validate(updateProfileSchema);
 const validateChangePassword = validate(changePasswordSchema);
+const validateForgotPassword = validate(forgotPasswordSchema);
+const validateResetPassword = validate(resetPasswordSchema);
+const validateTwoFactorCode = validate(twoFactorCodeSchema);
+const validateTwoFactorLogin = validate(twoFactorLoginSchema);
+const validateDisableTwoFactor = validate(disableTwoFactorSchema);
+const validateMemoryUpdate = validate(memoryUpdateSchema);
 const validateMoodEntry = validate(moodEntrySchema);
+const validateCrisisResource = validate(crisisResourceSchema);
+const validateSafetyPlan = validate(safetyPlanSchema);
+const validatePromptVersion = validate(promptVersionSchema);
+const validatePromptExperiment = validate(promptExperimentSchema);
 
 module.exports = {
+  chatSchema,
   validate,
   validateQuery,
   validateParams,
@@ -331,5 +605,15 @@ module.exports = {
   validateChat,
   validateUpdateProfile,
   validateChangePassword,
-  validateMoodEntry
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateMemoryUpdate,
+  validateMoodEntry,
+  validateCrisisResource,
+  validateSafetyPlan,
+  validatePromptVersion,
+  validatePromptExperiment
 };
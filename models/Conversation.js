@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Conversación de chat entre un usuario y el asistente
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Nueva conversación'
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Resumen acumulado de los mensajes antiguos (hasta summaryUpTo inclusive)
+  summary: {
+    type: String,
+    maxlength: 5000
+  },
+  summaryUpTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  summaryUpdatedAt: Date
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+// Buscar una conversación verificando que pertenezca al usuario
+conversationSchema.statics.findOwned = function (conversationId, userId) {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: conversationId, user: userId });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
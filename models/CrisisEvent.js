@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Registro de cada detección de crisis para seguimiento por el equipo
+const crisisEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Se quitan si el usuario borra la conversación: el evento se conserva para el seguimiento
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Solo se registran detecciones de crisis (assessCrisis con isCrisis)
+  level: {
+    type: String,
+    enum: ['medium', 'high'],
+    required: true
+  },
+  // Frases del motor de crisis que coincidieron
+  matches: {
+    type: [String],
+    default: []
+  },
+  channel: {
+    type: String,
+    enum: ['rest', 'sse', 'socket'],
+    default: 'rest'
+  },
+  // Ciclo de vida: open → acknowledged → resolved
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  alertSentAt: Date
+}, {
+  timestamps: true
+});
+
+crisisEventSchema.index({ status: 1, level: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CrisisEvent', crisisEventSchema);
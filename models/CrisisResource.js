@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const crisisLineSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 150 },
+  phone: { type: String, trim: true, maxlength: 50 },
+  url: { type: String, trim: true, maxlength: 300 },
+  description: { type: String, trim: true, maxlength: 300 },
+  available24h: { type: Boolean, default: false }
+}, { _id: false });
+
+// Recursos de crisis por país y, opcionalmente, por ciudad
+const crisisResourceSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 2
+  },
+  // Ciudad normalizada (minúsculas); null para la entrada nacional
+  city: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  countryName: {
+    type: String,
+    trim: true
+  },
+  emergencyNumber: {
+    type: String,
+    trim: true
+  },
+  lines: {
+    type: [crisisLineSchema],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+crisisResourceSchema.index({ country: 1, city: 1 }, { unique: true });
+
+module.exports = mongoose.model('CrisisResource', crisisResourceSchema);
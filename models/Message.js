@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Mensaje individual dentro de una conversación
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  // Tipo de respuesta del asistente: normal, crisis o fallback
+  type: {
+    type: String,
+    enum: ['normal', 'crisis', 'fallback'],
+    default: 'normal'
+  },
+  // crisis: evaluación del mensaje. En las respuestas de la IA además
+  // prompt (key, versionId, version, experiment) y modelParams con los que se generó
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+// Últimos mensajes de una conversación en orden cronológico
+// (afterId: solo los posteriores a ese mensaje, p. ej. los que aún no están resumidos)
+messageSchema.statics.getRecentHistory = async function (conversationId, limit, { afterId } = {}) {
+  const filter = { conversation: conversationId };
+  if (afterId) {
+    filter._id = { $gt: afterId };
+  }
+
+  const messages = await this.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+
+  return messages.reverse();
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// Registro individual de estado de ánimo (check-in)
+const moodEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  mood: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Zona horaria del usuario al momento del registro
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+moodEntrySchema.index({ user: 1, recordedAt: -1 });
+
+// Resumen calculado a partir de todos los registros del usuario.
+// Los días se cuentan según la fecha local de cada registro.
+moodEntrySchema.statics.getSummary = async function (userId) {
+  const [summary] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: '%Y-%m-%d', date: '$recordedAt', timezone: '$timezone' }
+        },
+        total: { $sum: '$mood' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$total' },
+        entries: { $sum: '$count' },
+        days: { $sum: 1 }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { totalEntries: 0, averageMood: 0, daysTracked: 0 };
+  }
+
+  return {
+    totalEntries: summary.entries,
+    averageMood: Math.round((summary.total / summary.entries) * 10) / 10,
+    daysTracked: summary.days
+  };
+};
+
+module.exports = mongoose.model('MoodEntry', moodEntrySchema);
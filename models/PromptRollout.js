@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptVersion',
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  }
+}, { _id: false });
+
+// Versiones en uso de cada prompt, una por clave. Con una sola variante es la
+// versión activa; con varias es un experimento A/B repartido por peso
+const promptRolloutSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: (variants) => variants.length > 0,
+      message: 'El despliegue necesita al menos una versión'
+    }
+  },
+  // Cambia en cada despliegue para que cada experimento reparta a los usuarios de nuevo
+  salt: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PromptRollout', promptRolloutSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Parámetros del modelo con los que se usa la versión; los que falten
+// se completan con los de por defecto de promptRegistry
+const modelParamsSchema = new mongoose.Schema({
+  model: { type: String, trim: true, maxlength: 100 },
+  maxTokens: { type: Number, min: 50, max: 4000 },
+  temperature: { type: Number, min: 0, max: 2 },
+  topP: { type: Number, min: 0, max: 1 },
+  presencePenalty: { type: Number, min: -2, max: 2 },
+  frequencyPenalty: { type: Number, min: -2, max: 2 }
+}, { _id: false });
+
+// Versión inmutable de un prompt: para cambiarlo se crea una versión nueva
+const promptVersionSchema = new mongoose.Schema({
+  // Prompt de la app al que pertenece (por ahora solo la persona base del chat)
+  key: {
+    type: String,
+    enum: ['chat'],
+    required: true
+  },
+  // Número correlativo dentro de la clave (1, 2, 3...)
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  params: {
+    type: modelParamsSchema,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promptVersionSchema.index({ key: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('PromptVersion', promptVersionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const contactSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  phone: { type: String, trim: true, maxlength: 50 },
+  relationship: { type: String, trim: true, maxlength: 100 }
+}, { _id: false });
+
+const professionalSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  phone: { type: String, trim: true, maxlength: 50 },
+  organization: { type: String, trim: true, maxlength: 150 }
+}, { _id: false });
+
+const stepList = {
+  type: [{ type: String, trim: true, maxlength: 300 }],
+  default: []
+};
+
+// Plan de seguridad personal (estructura Stanley-Brown), uno por usuario
+const safetyPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // 1. Señales de alerta
+  warningSigns: stepList,
+  // 2. Estrategias internas de afrontamiento
+  copingStrategies: stepList,
+  // 3. Personas y lugares que ayudan a distraerse
+  distractions: {
+    people: { type: [contactSchema], default: [] },
+    places: stepList
+  },
+  // 4. Personas a las que pedir ayuda
+  supportContacts: {
+    type: [contactSchema],
+    default: []
+  },
+  // 5. Profesionales y servicios a contactar
+  professionals: {
+    type: [professionalSchema],
+    default: []
+  },
+  // 6. Cómo hacer el entorno más seguro
+  environmentSafety: stepList
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SafetyPlan', safetyPlanSchema);
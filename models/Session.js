@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Sesión de autenticación = familia de refresh tokens.
+// Solo el refresh token con `currentJti` es válido; presentar uno anterior
+// indica reutilización y revoca toda la familia.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currentJti: {
+    type: String,
+    required: true
+  },
+  // Dispositivo desde el que se inició sesión
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRotatedAt: Date,
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'user_revoked', 'password_change', 'admin', null],
+    default: null
+  },
+  // Los documentos se eliminan automáticamente al expirar el refresh token
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Datos visibles para el usuario en la lista de dispositivos
+sessionSchema.methods.toPublicJSON = function (currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName || null,
+    userAgent: this.userAgent || null,
+    ip: this.ip || null,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
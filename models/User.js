@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PLANS, DEFAULT_PLAN, getPlan } = require('../config/plans');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { resolveTimezone, toLocalWeekKey, addDaysToKey } = require('../utils/timezone');
+
+// Factor de costo de bcrypt (BCRYPT_COST, entre 4 y 15; por defecto 12)
+const getBcryptCost = () => {
+  const cost = parseInt(process.env.BCRYPT_COST, 10);
+  return cost >= 4 && cost <= 15 ? cost : 12;
+};
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+
+const USER_TYPES = ['student', 'professional', 'individual'];
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -21,10 +36,158 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Perfil
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  age: {
+    type: Number,
+    min: 13,
+    max: 120
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'non-binary', 'prefer-not-to-say']
+  },
+  // Preferencias del asistente y de notificaciones
+  preferences: {
+    therapyStyle: {
+      type: String,
+      enum: ['cognitive', 'behavioral', 'humanistic', 'integrated'],
+      default: 'integrated'
+    },
+    communicationStyle: {
+      type: String,
+      enum: ['supportive', 'direct', 'humorous', 'mindful'],
+      default: 'supportive'
+    },
+    language: {
+      type: String,
+      enum: ['es', 'en', 'pt'],
+      default: 'es'
+    },
+    crisisSupport: {
+      type: Boolean,
+      default: true
+    },
+    // Memoria a largo plazo del asistente (ver models/UserMemory.js)
+    memoryEnabled: {
+      type: Boolean,
+      default: true
+    },
+    notificationSettings: {
+      pushEnabled: { type: Boolean, default: true },
+      emailEnabled: { type: Boolean, default: true },
+      // Aviso por email de inicio de sesión desde un dispositivo nuevo
+      securityAlerts: { type: Boolean, default: true },
+      frequency: {
+        type: String,
+        enum: ['immediate', 'daily', 'weekly', 'monthly'],
+        default: 'daily'
+      }
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: Date,
   isFirstLogin: { 
     type: Boolean, 
     default: true 
   },
+  timezone: {
+    type: String,
+    default: 'America/Bogota'
+  },
+  // País (ISO 3166-1 alfa-2) y ciudad del perfil, para recursos de crisis locales
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    minlength: 2,
+    maxlength: 2
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Rol para control de acceso (permisos en config/roles.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  // Tipo de usuario declarado al registrarse (descriptivo, no da permisos)
+  userType: {
+    type: String,
+    enum: USER_TYPES,
+    default: 'student'
+  },
+  // Plan de suscripción (ver config/plans.js)
+  subscriptionPlan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    default: DEFAULT_PLAN
+  },
+  // Contador semanal de sesiones; weekKey es el lunes local de la semana contada
+  stats: {
+    sessionsThisWeek: {
+      type: Number,
+      default: 0
+    },
+    weekKey: String
+  },
+  // Recuperación de contraseña: solo se guarda el hash del token de un solo uso
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Cuentas desactivadas: no pueden iniciar sesión ni usar tokens ya emitidos
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Protección de inicio de sesión (intentos fallidos consecutivos y bloqueo temporal)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // Verificación en dos pasos (TOTP). Los secretos y los códigos de respaldo
+  // (hasheados, de un solo uso) nunca se cargan salvo que se pidan explícitamente
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -50,7 +213,152 @@ const userSchema = new mongoose.Schema({
     type: Number, 
     default: 0 
   }
+}, {
+  toJSON: {
+    // Nunca exponer el hash de la contraseña
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpires;
+      delete ret.failedLoginAttempts;
+      delete ret.lastFailedLoginAt;
+      delete ret.lockUntil;
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: Boolean(ret.twoFactor.enabled),
+          enabledAt: ret.twoFactor.enabledAt
+        };
+      }
+      delete ret.__v;
+      return ret;
+    }
+  }
 });
 
+// Hashear la contraseña al crear el usuario y cada vez que cambia
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    // Un rehash (mismo texto plano, más costo) no cuenta como cambio de contraseña
+    if (!this.isNew && !this.$locals.isRehash) {
+      this.passwordChangedAt = new Date();
+    }
+    this.password = await bcrypt.hash(this.password, getBcryptCost());
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Comparar una contraseña en texto plano con la guardada.
+// Las cuentas antiguas guardaban la contraseña sin hashear: se comparan en
+// tiempo constante y needsPasswordRehash() indica que hay que migrarlas.
+userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!candidatePassword || !this.password) {
+    return false;
+  }
+
+  if (BCRYPT_HASH.test(this.password)) {
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+
+  const stored = Buffer.from(this.password);
+  const candidate = Buffer.from(candidatePassword);
+  return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+};
+
+// ¿La cuenta está bloqueada temporalmente por intentos fallidos?
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil) && this.lockUntil > new Date();
+};
+
+// Semana actual (lunes local) según la zona horaria del usuario
+userSchema.methods.getCurrentWeekKey = function (now = new Date()) {
+  return toLocalWeekKey(now, resolveTimezone(this.timezone));
+};
+
+// Sesiones de esta semana (el contador de una semana anterior ya no cuenta)
+userSchema.methods.getSessionsThisWeek = function (now = new Date()) {
+  const stats = this.stats || {};
+  return stats.weekKey === this.getCurrentWeekKey(now) ? stats.sessionsThisWeek || 0 : 0;
+};
+
+// Cupo semanal del plan; limit y remaining son null en planes ilimitados
+userSchema.methods.getSessionQuota = function (now = new Date()) {
+  const plan = getPlan(this.subscriptionPlan);
+  const weekStart = this.getCurrentWeekKey(now);
+  const used = this.getSessionsThisWeek(now);
+  const limit = plan.weeklySessionLimit;
+
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    weekStart,
+    resetsOn: addDaysToKey(weekStart, 7),
+    timezone: resolveTimezone(this.timezone)
+  };
+};
+
+/**
+ * Reserva una sesión del cupo semanal antes de crear la conversación. La
+ * comprobación y el incremento son una sola actualización condicional, así
+ * que peticiones en paralelo no pueden pasar del límite. Si la semana
+ * guardada ya pasó, el contador vuelve a empezar en 1.
+ * Devuelve { reserved, weekKey }; weekKey sirve para liberar la reserva.
+ */
+userSchema.statics.reserveSession = async function (userId, now = new Date()) {
+  const user = await this.findById(userId).select('timezone subscriptionPlan').lean();
+  if (!user) return { reserved: false, weekKey: null };
+
+  const weekKey = toLocalWeekKey(now, resolveTimezone(user.timezone));
+  const limit = getPlan(user.subscriptionPlan).weeklySessionLimit;
+  if (limit === 0) return { reserved: false, weekKey };
+
+  const sameWeek = { _id: userId, 'stats.weekKey': weekKey };
+  if (limit !== null) {
+    sameWeek['stats.sessionsThisWeek'] = { $lt: limit };
+  }
+
+  // Dos vueltas: si otra petición acaba de empezar la semana, se reintenta el incremento
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const incremented = await this.updateOne(sameWeek, { $inc: { 'stats.sessionsThisWeek': 1 } });
+    if (incremented.matchedCount > 0) return { reserved: true, weekKey };
+
+    const newWeek = await this.updateOne(
+      { _id: userId, 'stats.weekKey': { $ne: weekKey } },
+      { $set: { 'stats.weekKey': weekKey, 'stats.sessionsThisWeek': 1 } }
+    );
+    if (newWeek.matchedCount > 0) return { reserved: true, weekKey };
+  }
+
+  return { reserved: false, weekKey };
+};
+
+// Devuelve la sesión reservada si al final no se creó la conversación
+userSchema.statics.releaseSession = async function (userId, weekKey) {
+  await this.updateOne(
+    { _id: userId, 'stats.weekKey': weekKey, 'stats.sessionsThisWeek': { $gt: 0 } },
+    { $inc: { 'stats.sessionsThisWeek': -1 } }
+  );
+};
+
+// ¿El usuario quiere avisos de inicio de sesión desde dispositivos nuevos?
+// Es independiente de emailEnabled; la verificación y la recuperación de cuenta se envían siempre.
+userSchema.methods.wantsSecurityAlerts = function () {
+  return this.preferences?.notificationSettings?.securityAlerts !== false;
+};
+
+// ¿La contraseña está sin hashear o con un costo menor al configurado?
+userSchema.methods.needsPasswordRehash = function () {
+  if (!BCRYPT_HASH.test(this.password)) {
+    return true;
+  }
+  return bcrypt.getRounds(this.password) < getBcryptCost();
+};
+
 // Exportar el modelo User
 module.exports = mongoose.model('User', userSchema);
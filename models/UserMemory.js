@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Dato sobre el usuario que el asistente recuerda entre conversaciones.
+// El usuario puede ver, editar y borrar cada recuerdo.
+const userMemorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  category: {
+    type: String,
+    enum: ['work', 'family', 'relationships', 'health', 'coping', 'goals', 'preferences', 'other'],
+    default: 'other'
+  },
+  // extracted: lo dedujo el asistente; user: lo editó el propio usuario
+  source: {
+    type: String,
+    enum: ['extracted', 'user'],
+    default: 'extracted'
+  },
+  sourceConversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // Contenido normalizado, para no guardar el mismo dato dos veces
+  contentKey: {
+    type: String,
+    required: true
+  },
+  // Palabras normalizadas del contenido, para recuperar los recuerdos relevantes
+  keywords: {
+    type: [String],
+    default: []
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    // Los campos internos de búsqueda no se exponen
+    transform: (doc, ret) => {
+      delete ret.contentKey;
+      delete ret.keywords;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+userMemorySchema.index({ user: 1, contentKey: 1 }, { unique: true });
+userMemorySchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('UserMemory', userMemorySchema);
@@ -0,0 +1,204 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const loginProtectionService = require('../services/loginProtectionService');
+const tokenService = require('../services/tokenService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const { disconnectSessions } = require('../sockets/chat');
+const logger = require('../logger');
+
+const router = express.Router();
+
+// Todas las rutas requieren sesión; cada una declara su permiso
+router.use(auth);
+
+const LOCKOUT_FIELDS = 'username email failedLoginAttempts lastFailedLoginAt lockUntil';
+
+const toLockoutState = (user) => ({
+  userId: user._id,
+  username: user.username,
+  email: user.email,
+  failedLoginAttempts: user.failedLoginAttempts || 0,
+  lastFailedLoginAt: user.lastFailedLoginAt || null,
+  lockUntil: user.lockUntil || null,
+  isLocked: Boolean(user.lockUntil) && user.lockUntil > new Date()
+});
+
+// ✅ CUENTAS BLOQUEADAS AHORA MISMO
+router.get('/users/locked', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select(LOCKOUT_FIELDS)
+      .sort({ lockUntil: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ users: users.map(toLockoutState) });
+
+  } catch (error) {
+    logger.error('Error listando cuentas bloqueadas', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ESTADO DE BLOQUEO DE UN USUARIO
+router.get('/users/:id/lockout', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select(LOCKOUT_FIELDS).lean()
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({ lockout: toLockoutState(user) });
+
+  } catch (error) {
+    logger.error('Error obteniendo estado de bloqueo', { 
+      userId: req.userId, 
+      targetUserId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ DESBLOQUEAR MANUALMENTE UNA CUENTA
+router.delete('/users/:id/lockout', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const exists = mongoose.isValidObjectId(req.params.id) && await User.exists({ _id: req.params.id });
+
+    if (!exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    await loginProtectionService.clearFailedLogins(req.params.id);
+
+    logger.info('Cuenta desbloqueada por un administrador', { 
+      adminId: req.userId, 
+      targetUserId: req.params.id 
+    });
+
+    res.json({ message: 'Cuenta desbloqueada' });
+
+  } catch (error) {
+    logger.error('Error desbloqueando cuenta', { 
+      userId: req.userId, 
+      targetUserId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ACTIVAR / DESACTIVAR UNA CUENTA (DESACTIVAR CIERRA TODAS SUS SESIONES)
+router.patch('/users/:id/active', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive debe ser true o false' });
+    }
+
+    if (req.params.id === req.userId && !isActive) {
+      return res.status(400).json({ error: 'No puedes desactivar tu propia cuenta' });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('username email role isActive')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    // Solo quien puede asignar roles puede desactivar a otro superadmin
+    if (user.role === 'superadmin' && !hasPermission(req.user.role, PERMISSIONS.ROLES_ASSIGN)) {
+      return res.status(403).json({ error: 'No tienes permisos para realizar esta acción.', code: 'FORBIDDEN' });
+    }
+
+    await User.updateOne({ _id: user._id }, { isActive });
+    user.isActive = isActive;
+
+    let revokedSessions = 0;
+    if (!isActive) {
+      const revokedIds = await tokenService.revokeUserSessions(user._id, 'admin');
+      disconnectSessions(req.app.get('io'), revokedIds);
+      revokedSessions = revokedIds.length;
+    }
+
+    logger.info(isActive ? 'Cuenta reactivada' : 'Cuenta desactivada', { 
+      adminId: req.userId, 
+      targetUserId: req.params.id,
+      revokedSessions
+    });
+
+    res.json({
+      message: isActive ? 'Cuenta activada' : 'Cuenta desactivada',
+      user: { userId: user._id, username: user.username, email: user.email, isActive: user.isActive }
+    });
+
+  } catch (error) {
+    logger.error('Error cambiando el estado de la cuenta', { 
+      userId: req.userId, 
+      targetUserId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ASIGNAR ROL
+router.patch('/users/:id/role', requirePermission(PERMISSIONS.ROLES_ASSIGN), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Rol inválido. Usa: ${ROLES.join(', ')}` });
+    }
+
+    // Evita que el sistema se quede sin superadmin por accidente
+    if (req.params.id === req.userId && role !== 'superadmin') {
+      return res.status(400).json({ error: 'No puedes quitarte tu propio rol de superadmin' });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findByIdAndUpdate(req.params.id, { role }, { new: true, runValidators: true }).select('username email role')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    logger.info('Rol asignado', { 
+      adminId: req.userId, 
+      targetUserId: req.params.id,
+      role
+    });
+
+    res.json({
+      message: 'Rol actualizado',
+      user: { userId: user._id, username: user.username, email: user.email, role: user.role }
+    });
+
+  } catch (error) {
+    logger.error('Error asignando rol', { 
+      userId: req.userId, 
+      targetUserId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,84 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginProtectionService = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+const MoodEntry = require('../models/MoodEntry');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const SafetyPlan = require('../models/SafetyPlan');
+const UserMemory = require('../models/UserMemory');
+const { auth, refreshTokenAuth, requireEmailVerification } = require('../middleware/auth');
+const {
+  validateForgotPassword,
+  validateResetPassword,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor
+} = require('../middleware/validation');
+const { disconnectSessions } = require('../sockets/chat');
+const { getPlan } = require('../config/plans');
 const logger = require('../logger');
 
 const router = express.Router();
 
+// Rate limit for password recovery requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    error: 'Demasiadas solicitudes de recuperación. Inténtalo de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limit for verification emails (per user, not per IP)
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => req.userId.toString(),
+  message: {
+    error: 'Ya enviamos varios emails de verificación. Inténtalo de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login attempts per IP (req.ip is the client IP thanks to trust proxy on Railway).
+// Only failed attempts count towards the limit.
+const loginIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Demasiados intentos de inicio de sesión desde esta red. Inténtalo de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login attempts per email, whether or not the account exists
+const loginEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `login:${email || req.ip}`;
+  },
+  message: {
+    error: 'Demasiados intentos de inicio de sesión para esta cuenta. Inténtalo de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Helper function to validate basic requirements
 const validateBasic = (data, requiredFields) => {
   for (const field of requiredFields) {
@@ -20,63 +94,44 @@ const getUsername = (req) => {
   return req.body.name || req.body.username || 'Usuario';
 };
 
-// Simple authentication middleware
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'Token de autenticación requerido'
-      });
-    }
-    
-    const token = authHeader.substring(7);
-    
-    // Verify token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-secret'
-    );
-    
-    // Check if token type is correct
-    if (decoded.type !== 'access') {
-      return res.status(401).json({
-        error: 'Tipo de token inválido'
-      });
-    }
-    
-    // Find user
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        error: 'Usuario no encontrado'
-      });
-    }
-    
-    // Add user info to request
-    req.userId = decoded.userId;
-    req.user = user;
-    req.token = token;
-    
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        error: 'Token inválido'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: 'Token expirado'
-      });
-    }
-    
-    res.status(500).json({
-      error: 'Error de autenticación'
+// Helper function to get the device that is signing in
+const getDeviceInfo = (req) => {
+  const deviceName = req.body.deviceName || req.get('X-Device-Name');
+  
+  return {
+    deviceName: typeof deviceName === 'string' && deviceName.trim()
+      ? deviceName.trim().substring(0, 100)
+      : undefined,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  };
+};
+
+// Helper function to answer a login attempt on a locked account
+const sendAccountLocked = (res, user) => {
+  const retryAfter = loginProtectionService.getRetryAfterSeconds(user);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Demasiados intentos fallidos. Espera un momento antes de intentarlo de nuevo.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+// Helper function to open the session once every login step has passed
+// (warns the user by email when the device is new)
+const startLoginSession = async (req, user) => {
+  const device = getDeviceInfo(req);
+  const isNewDevice = await loginProtectionService.isNewDevice(user, device);
+  const { tokens } = await tokenService.createSession(user._id, device);
+  
+  if (isNewDevice) {
+    loginProtectionService.sendNewDeviceAlert(user, device).catch(error => {
+      logger.error('New device alert error:', error);
     });
   }
+  
+  return tokens;
 };
 
 // Register new user
@@ -113,6 +168,14 @@ router.post('/register', async (req, res) => {
       });
     }
     
+    // userType is descriptive only (it grants no permissions)
+    const userTypes = User.schema.path('userType').enumValues;
+    if (userType && !userTypes.includes(userType)) {
+      return res.status(400).json({
+        error: `Invalid userType. Use: ${userTypes.join(', ')}`
+      });
+    }
+    
     const username = getUsername(req);
     console.log('✅ USERNAME ACEPTADO (name O username):', username);
     
@@ -128,6 +191,7 @@ router.post('/register', async (req, res) => {
     // Create new user
     const user = new User({
       username: username.toLowerCase().trim(),
+      name: name.trim(),
       email: email.toLowerCase(),
       password,
       userType: userType || 'student',
@@ -142,8 +206,13 @@ router.post('/register', async (req, res) => {
     
     await user.save();
     
-    // Generate tokens
-    const tokens = generateTokens(user._id);
+    // Generate tokens (nueva sesión)
+    const { tokens } = await tokenService.createSession(user._id, getDeviceInfo(req));
+    
+    // Send verification email without blocking the registration
+    emailVerificationService.sendVerificationEmail(user).catch(error => {
+      logger.error('Verification email error:', error);
+    });
     
     console.log('✅ USUARIO REGISTRADO EXITOSAMENTE');
     console.log('Username:', username.toLowerCase().trim());
@@ -173,7 +242,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
   console.log('=== LOGIN DEBUG ===');
   console.log('req.body:', JSON.stringify(req.body, null, 2));
   
@@ -204,16 +273,50 @@ router.post('/login', async (req, res) => {
       });
     }
     
+    // Temporary lockout after repeated failures
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+    
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtectionService.registerFailedLogin(user, req.ip);
       return res.status(401).json({
         error: 'Credenciales inválidas'
       });
     }
     
-    // Generate tokens
-    const tokens = generateTokens(user._id);
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await loginProtectionService.clearFailedLogins(user._id);
+    }
+    
+    // Deactivated accounts cannot sign in (checked after the password so it reveals nothing)
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Cuenta desactivada. Contacta al soporte.',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+    
+    // Rehash transparente si subió el costo de bcrypt (o la contraseña era antigua sin hash)
+    if (user.needsPasswordRehash()) {
+      user.password = password;
+      user.$locals.isRehash = true;
+      await user.save();
+    }
+    
+    // Two-step login: the password alone is not enough, ask for the TOTP code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Ingresa el código de tu app de autenticación',
+        requiresTwoFactor: true,
+        twoFactorToken: twoFactorService.signTwoFactorToken(user)
+      });
+    }
+    
+    // Generate tokens (nueva sesión)
+    const tokens = await startLoginSession(req, user);
     
     console.log('✅ LOGIN EXITOSO');
     
@@ -237,25 +340,116 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId, type: 'access' },
-    process.env.JWT_SECRET || 'default-secret',
-    { expiresIn: '15m' }
-  );
-  
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET || 'default-refresh-secret',
-    { expiresIn: '7d' }
-  );
-  
-  return { accessToken, refreshToken };
-};
+// Second login step: exchange the intermediate token plus a TOTP or backup code for real tokens
+router.post('/login/2fa', loginIpLimiter, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+    const userId = twoFactorService.verifyTwoFactorToken(twoFactorToken);
+    
+    const user = await twoFactorService.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'La verificación expiró. Inicia sesión de nuevo.'
+      });
+    }
+    
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+    
+    const method = await twoFactorService.verifySecondFactor(user, code);
+    if (!method) {
+      await loginProtectionService.registerFailedLogin(user, req.ip);
+      return res.status(401).json({
+        error: 'Código de verificación inválido'
+      });
+    }
+    
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await loginProtectionService.clearFailedLogins(user._id);
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Cuenta desactivada. Contacta al soporte.',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+    
+    const tokens = await startLoginSession(req, user);
+    
+    const response = {
+      message: 'Inicio de sesión exitoso',
+      user: user.toJSON(),
+      tokens
+    };
+    
+    if (method === 'backup') {
+      response.remainingBackupCodes = await twoFactorService.countBackupCodes(user._id);
+    }
+    
+    res.json(response);
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Refresh tokens (rotación: cada refresh token sirve una sola vez)
+router.post('/refresh', refreshTokenAuth, async (req, res) => {
+  try {
+    const { tokens } = await tokenService.rotateRefreshToken(req.refreshToken);
+    
+    res.json({
+      message: 'Tokens renovados',
+      tokens
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Refresh error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Logout: revoca la sesión del refresh token enviado
+router.post('/logout', refreshTokenAuth, async (req, res) => {
+  try {
+    if (req.refreshToken.sid) {
+      await tokenService.revokeSession(req.refreshToken.sid, 'logout');
+      disconnectSessions(req.app.get('io'), [req.refreshToken.sid]);
+    }
+    
+    res.json({
+      message: 'Sesión cerrada exitosamente'
+    });
+    
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
 
 // Get current user
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.userId);
     if (!user) {
@@ -276,4 +470,385 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Current plan, its features and the remaining weekly session quota
+router.get('/me/plan', auth, (req, res) => {
+  const plan = getPlan(req.user.subscriptionPlan);
+  
+  res.json({
+    plan: {
+      id: req.user.subscriptionPlan,
+      name: plan.name,
+      weeklySessionLimit: plan.weeklySessionLimit,
+      features: plan.features
+    },
+    quota: req.user.getSessionQuota()
+  });
+});
+
+// Update profile and preferences (nested preferences are merged, not replaced)
+router.patch('/me', auth, validateUpdateProfile, async (req, res) => {
+  try {
+    const { preferences, ...profile } = req.body;
+    const user = req.user;
+    
+    user.set(profile);
+    
+    if (preferences) {
+      const { notificationSettings, ...assistantPreferences } = preferences;
+      
+      Object.entries(assistantPreferences).forEach(([key, value]) => {
+        user.set(`preferences.${key}`, value);
+      });
+      
+      Object.entries(notificationSettings || {}).forEach(([key, value]) => {
+        user.set(`preferences.notificationSettings.${key}`, value);
+      });
+    }
+    
+    await user.save();
+    
+    logger.info('Profile updated', { userId: req.userId, fields: Object.keys(req.body) });
+    
+    res.json({
+      message: 'Perfil actualizado exitosamente',
+      user: user.toJSON()
+    });
+    
+  } catch (error) {
+    logger.error('Update profile error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Change password (keeps the current session, revokes the others)
+router.post('/change-password', auth, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+    
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        error: 'La contraseña actual es incorrecta'
+      });
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    const revokedIds = await tokenService.revokeUserSessions(user._id, 'password_change', req.sessionId);
+    disconnectSessions(req.app.get('io'), revokedIds);
+    
+    logger.info('Password changed', { userId: req.userId, revokedSessions: revokedIds.length });
+    
+    res.json({
+      message: 'Contraseña actualizada exitosamente'
+    });
+    
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Start two-factor enrollment: returns the secret, otpauth URI and QR payload
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.userId);
+    
+    res.json({
+      message: 'Escanea el código QR con tu app de autenticación y confirma con un código',
+      ...enrollment
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Confirm enrollment with a code from the app (backup codes are shown only once)
+router.post('/2fa/verify', auth, validateTwoFactorCode, async (req, res) => {
+  try {
+    const { backupCodes } = await twoFactorService.confirmEnrollment(req.userId, req.body.code);
+    
+    res.json({
+      message: 'Verificación en dos pasos activada. Guarda tus códigos de respaldo en un lugar seguro.',
+      backupCodes
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Two-factor verify error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Replace the backup codes (the previous ones stop working)
+router.post('/2fa/backup-codes', auth, validateTwoFactorCode, async (req, res) => {
+  try {
+    const { backupCodes } = await twoFactorService.regenerateBackupCodes(req.userId, req.body.code);
+    
+    res.json({
+      message: 'Nuevos códigos de respaldo generados',
+      backupCodes
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Backup codes error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Disable two-factor authentication (requires password and a valid code)
+router.post('/2fa/disable', auth, validateDisableTwoFactor, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    await twoFactorService.disableTwoFactor(req.userId, password, code);
+    
+    res.json({
+      message: 'Verificación en dos pasos desactivada'
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Request a password reset link by email
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, async (req, res) => {
+  try {
+    await passwordResetService.requestPasswordReset(req.body.email);
+  } catch (error) {
+    // Same response either way so the endpoint does not reveal registered emails
+    logger.error('Forgot password error:', error);
+  }
+  
+  res.json({
+    message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña.'
+  });
+});
+
+// Reset password with the emailed token (revokes every session)
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const { revokedSessionIds } = await passwordResetService.resetPassword(token, newPassword);
+    disconnectSessions(req.app.get('io'), revokedSessionIds);
+    
+    res.json({
+      message: 'Contraseña restablecida. Inicia sesión con tu nueva contraseña.'
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Verify email with the signed token (JSON body or link query string)
+const handleVerifyEmail = async (req, res) => {
+  try {
+    const token = req.body.token || req.query.token;
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'El token de verificación es requerido'
+      });
+    }
+    
+    const user = await emailVerificationService.verifyEmail(token);
+    
+    res.json({
+      message: 'Email verificado exitosamente',
+      user: user.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+};
+
+router.post('/verify-email', handleVerifyEmail);
+router.get('/verify-email', handleVerifyEmail);
+
+// Resend verification email
+router.post('/resend-verification', auth, verificationEmailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Tu email ya está verificado'
+      });
+    }
+    
+    await emailVerificationService.sendVerificationEmail(req.user);
+    
+    res.json({
+      message: 'Te enviamos un nuevo email de verificación'
+    });
+    
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Export all of the user's data (requires a verified email)
+router.get('/me/export', auth, requireEmailVerification, async (req, res) => {
+  try {
+    const userId = req.userId;
+    
+    const [moodEntries, conversations, messages, safetyPlan, memories] = await Promise.all([
+      MoodEntry.find({ user: userId }).sort({ recordedAt: 1 }).lean(),
+      Conversation.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Message.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      SafetyPlan.findOne({ user: userId }).lean(),
+      UserMemory.find({ user: userId }).sort({ createdAt: 1 }).select('-contentKey -keywords -__v').lean()
+    ]);
+    
+    logger.info('User data exported', { userId });
+    
+    res.set('Content-Disposition', 'attachment; filename="mindsync-export.json"');
+    res.json({
+      exportedAt: new Date().toISOString(),
+      user: req.user.toJSON(),
+      moodEntries,
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        messages: messages.filter(message => message.conversation.toString() === conversation._id.toString())
+      })),
+      safetyPlan,
+      memories
+    });
+    
+  } catch (error) {
+    logger.error('Export data error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// List active sessions (devices)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await tokenService.listActiveSessions(req.userId);
+    
+    res.json({
+      sessions: sessions.map(session => session.toPublicJSON(req.sessionId))
+    });
+    
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revoke all sessions except the current one
+router.post('/sessions/revoke-others', auth, async (req, res) => {
+  try {
+    const revokedIds = await tokenService.revokeUserSessions(req.userId, 'user_revoked', req.sessionId);
+    disconnectSessions(req.app.get('io'), revokedIds);
+    
+    logger.info('Other sessions revoked', { userId: req.userId, count: revokedIds.length });
+    
+    res.json({
+      message: 'Se cerraron las demás sesiones',
+      revoked: revokedIds.length
+    });
+    
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const sessions = await tokenService.listActiveSessions(req.userId);
+    const session = sessions.find(item => item._id.toString() === req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada'
+      });
+    }
+    
+    await tokenService.revokeSession(session._id, 'user_revoked');
+    disconnectSessions(req.app.get('io'), [session._id.toString()]);
+    
+    logger.info('Session revoked', { userId: req.userId, sessionId: session._id });
+    
+    res.json({
+      message: 'Sesión cerrada exitosamente'
+    });
+    
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
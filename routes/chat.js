@@ -1,240 +1,311 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const CrisisEvent = require('../models/CrisisEvent');
+const UserMemory = require('../models/UserMemory');
+const chatService = require('../services/chatService');
+const { auth, reserveSession, checkSessionLimit } = require('../middleware/auth');
+const { validateChat } = require('../middleware/validation');
 const logger = require('../logger');
 
 const router = express.Router();
 
-// ✅ MIDDLEWARE DE AUTENTICACIÓN MEJORADO
-const authenticateToken = async (req, res, next) => {
+// ✅ NEGOCIACIÓN DE STREAMING (Accept: text/event-stream)
+const wantsEventStream = (req) => {
+  return (req.get('Accept') || '').includes('text/event-stream');
+};
+
+// ✅ ENVIAR UN EVENTO SSE
+const sendEvent = (res, event, data) => {
+  // El cliente ya cerró la conexión
+  if (res.writableEnded || res.destroyed) return;
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // compression() acumula la salida; hay que vaciarla en cada evento
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+// ✅ LIBERAR LA SESIÓN RESERVADA SI NO SE CREÓ LA CONVERSACIÓN
+const releaseSessionReservation = (req) => {
+  if (!req.sessionReservation) return;
+
+  User.releaseSession(req.userId, req.sessionReservation.weekKey).catch(error => {
+    logger.error('Error liberando sesión reservada', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+  });
+};
+
+// ✅ INICIAR UNA CONVERSACIÓN
+router.post('/conversations', auth, reserveSession, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const userId = req.userId;
+    const title = typeof req.body.title === 'string' && req.body.title.trim()
+      ? chatService.buildConversationTitle(req.body.title)
+      : undefined;
 
-    if (!token) {
-      logger.warn('Token no proporcionado', { path: req.path, ip: req.ip });
-      return res.status(401).json({ error: 'Token de acceso requerido' });
+    let conversation;
+    try {
+      conversation = await Conversation.create({ user: userId, title });
+    } catch (createError) {
+      releaseSessionReservation(req);
+      throw createError;
     }
 
-    // Verificar y decodificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verificar que el usuario existe
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      logger.warn('Usuario no encontrado en BD', { userId: decoded.userId, ip: req.ip });
-      return res.status(403).json({ error: 'Usuario no encontrado' });
-    }
+    await User.updateOne(
+      { _id: userId },
+      {
+        $inc: { totalSessions: 1 },
+        $set: { lastActivity: new Date() }
+      }
+    );
+
+    logger.info('Conversación creada', { userId, conversationId: conversation._id });
 
-    // Adjuntar usuario a la request
-    req.user = user;
-    req.userId = decoded.userId;
+    res.status(201).json({ conversation });
+
+  } catch (error) {
+    logger.error('Error creando conversación', { 
+      userId: req.userId, 
+      error: error.message 
+    });
     
-    next();
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ LISTAR CONVERSACIONES DEL USUARIO
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find({ user: userId })
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments({ user: userId })
+    ]);
+
+    res.json({
+      conversations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
   } catch (error) {
-    logger.error('Error en autenticación', { 
-      error: error.message, 
-      token: req.headers.authorization?.substring(0, 50) + '...',
-      ip: req.ip 
+    logger.error('Error listando conversaciones', { 
+      userId: req.userId, 
+      error: error.message 
     });
     
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({ error: 'Token inválido' });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ PAGINAR MENSAJES DE UNA CONVERSACIÓN (MÁS RECIENTES PRIMERO, CURSOR "before")
+router.get('/conversations/:id/messages', auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+    const { before } = req.query;
+
+    const conversation = await Conversation.findOwned(req.params.id, userId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
     }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({ error: 'Token expirado' });
+
+    const query = { conversation: conversation._id };
+
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        return res.status(400).json({ error: 'Cursor de paginación inválido' });
+      }
+      query._id = { $lt: before };
     }
-    
-    return res.status(403).json({ error: 'Error de autenticación' });
-  }
-};
 
-// ✅ VALIDAR LÍMITES DE CONVERSACIÓN
-const checkConversationLimit = (req, res, next) => {
-  const messages = req.body.messages || [];
-  const MAX_MESSAGES = 50;
-  
-  if (messages.length > MAX_MESSAGES) {
-    return res.status(400).json({ 
-      error: `Máximo ${MAX_MESSAGES} mensajes por conversación` 
+    const page = await Message.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse();
+
+    res.json({
+      conversationId: conversation._id,
+      messages,
+      hasMore,
+      nextCursor: hasMore ? messages[0]._id : null
     });
-  }
-  
-  next();
-};
 
-// ✅ VALIDAR ENTRADA DE CRISIS
-const validateCrisisInput = (req, res, next) => {
-  const message = req.body.message?.toLowerCase() || '';
-  
-  const crisisKeywords = [
-    'suicid', 'suicidio', 'matarme', 'quiero morir', 'terminar con todo',
-    'no veo salida', 'desesperacion', 'autolesionar', 'lastimarme',
-    'mejor sin mí', 'no vale la pena', 'muy triste para vivir'
-  ];
-  
-  const isCrisis = crisisKeywords.some(keyword => message.includes(keyword));
-  
-  if (isCrisis) {
-    req.isCrisis = true;
+  } catch (error) {
+    logger.error('Error obteniendo mensajes', { 
+      userId: req.userId, 
+      conversationId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
   }
-  
-  next();
-};
+});
 
-// ✅ CHAT CON OPENAI + FALLBACK
-router.post('/', authenticateToken, checkConversationLimit, validateCrisisInput, async (req, res) => {
+// ✅ ELIMINAR UNA CONVERSACIÓN Y SUS MENSAJES
+router.delete('/conversations/:id', auth, async (req, res) => {
   try {
-    const { message, messages = [] } = req.body;
     const userId = req.userId;
-    
-    if (!message) {
-      return res.status(400).json({ error: 'El mensaje es requerido' });
+
+    const conversation = await Conversation.findOwned(req.params.id, userId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
     }
 
-    logger.info('Mensaje de chat recibido', { 
-      userId, 
-      messageLength: message.length, 
-      messagesCount: messages.length,
-      ip: req.ip 
+    await Message.deleteMany({ conversation: conversation._id });
+    await conversation.deleteOne();
+
+    // Los eventos de crisis y los recuerdos se conservan, sin la referencia a lo borrado
+    await CrisisEvent.updateMany(
+      { conversation: conversation._id },
+      { $unset: { conversation: 1, message: 1 } }
+    );
+    await UserMemory.updateMany(
+      { sourceConversation: conversation._id },
+      { $unset: { sourceConversation: 1 } }
+    );
+
+    logger.info('Conversación eliminada', { userId, conversationId: conversation._id });
+
+    res.json({ message: 'Conversación eliminada exitosamente' });
+
+  } catch (error) {
+    logger.error('Error eliminando conversación', { 
+      userId: req.userId, 
+      conversationId: req.params.id,
+      error: error.message 
     });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
 
-    // ✅ VALIDACIÓN DE CRISIS
-    if (req.isCrisis) {
-      logger.warn('Palabras de crisis detectadas', { 
-        userId, 
-        message: message.substring(0, 100),
-        ip: req.ip 
-      });
-      
-      const crisisResponse = {
-        response: "Estoy muy preocupado por lo que me dices. Por favor, busca ayuda profesional inmediatamente. Si estás en peligro, contacta los servicios de emergencia. También puedes llamar a líneas de crisis como:\n\n• Línea de crisis emocional: 024\n• Emergencias: 911\n• Chat de ayuda: https://www.crisistextline.org/\n\nTu vida es valiosa y hay personas que pueden ayudarte. No estás solo en esto.",
-        type: 'crisis',
-        isEmergency: true
-      };
-      
-      // Actualizar estadísticas del usuario
-      await User.updateOne(
-        { _id: userId },
-        {
-          $inc: { totalSessions: 1, totalMessages: 1 },
-          $set: { lastActivity: new Date() }
-        }
-      );
-      
-      return res.json(crisisResponse);
-    }
+// ✅ CHAT CON OPENAI + FALLBACK (JSON O STREAMING SSE)
+router.post('/', auth, validateChat, checkSessionLimit, async (req, res) => {
+  const userId = req.userId;
+  const { message, conversationId, context: chatContext } = req.body;
 
-    let chatResponse = '';
+  const streaming = wantsEventStream(req);
+  let conversation;
 
-    // ✅ INTENTO CON OPENAI
-    try {
-      const OpenAI = require('openai');
-      const client = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+  try {
+    let isNewConversation;
+    ({ conversation, isNewConversation } = await chatService.resolveConversation(userId, conversationId, message));
 
-      const systemPrompt = `Eres MindSync, un asistente de bienestar emocional empático y comprensivo. Tu objetivo es:
-
-1. Ser un escucha activo y sin juicios
-2. Ofrecer apoyo emocional genuino
-3. Hacer preguntas reflexivas para ayudar a la autoexploración
-4. Proporcionar técnicas simples de mindfulness y bienestar
-5. Mantener un tono cálido, profesional y esperanzador
-6. Siempre validar los sentimientos de la persona
-7. Si detectas pensamientos suicidas o de autolesión, responder con urgencia y proporcionar recursos de ayuda
-
-Responde de manera concisa pero cálida, generalmente en 2-3 párrafos. Nunca prometas soluciones mágicas, sino apoyo genuino en el proceso de bienestar.`;
-
-      const completion = await client.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          ...messages.map(msg => ({ role: msg.role, content: msg.content })),
-          { role: "user", content: message }
-        ],
-        max_tokens: 500,
-        temperature: 0.7,
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
-      });
+    if (!streaming) {
+      const result = await chatService.processMessage({ userId, conversation, isNewConversation, message, chatContext });
+      const response = chatService.buildChatResponse(result);
 
-      chatResponse = completion.choices[0].message.content.trim();
-      logger.info('Respuesta de OpenAI generada', { 
+      logger.info('Chat completado exitosamente', { 
         userId, 
-        responseLength: chatResponse.length 
+        conversationId: conversation._id,
+        responseType: result.reply.type 
       });
 
-    } catch (openaiError) {
-      logger.error('Error con OpenAI, usando respuesta de fallback', { 
-        userId, 
-        error: openaiError.message 
-      });
-      
-      // ✅ RESPUESTA DE FALLBACK
-      const fallbackResponses = [
-        "Gracias por compartir conmigo lo que sientes. Entiendo que puede ser difícil expresar lo que hay en tu interior. ¿Qué te gustaría explorar más profundamente hoy?",
-        "Escucho que estás pasando por un momento difícil. Recuerda que cada día es una nueva oportunidad para cuidar de ti mismo. ¿Hay algo específico que te gustaría trabajar?",
-        "Valoro mucho que compartas tus pensamientos conmigo. El bienestar emocional es un proceso, y estar aquí hablando es un paso importante. ¿Cómo puedo apoyarte mejor?",
-        "Es muy valiente de tu parte buscar apoyo. Cada persona merece sentir paz y equilibrio. ¿Qué te ayudaría a sentirte un poco mejor en este momento?"
-      ];
-      
-      const randomIndex = Math.floor(Math.random() * fallbackResponses.length);
-      chatResponse = fallbackResponses[randomIndex];
-      
-      logger.info('Respuesta de fallback usada', { 
-        userId, 
-        response: chatResponse.substring(0, 100) 
-      });
+      return res.json(response);
     }
 
-    // ✅ ACTUALIZAR ESTADÍSTICAS DEL USUARIO
-    try {
-      await User.updateOne(
-        { _id: userId },
-        {
-          $inc: { 
-            totalSessions: 1, 
-            totalMessages: 1 
-          },
-          $set: { 
-            lastActivity: new Date() 
-          }
-        }
-      );
-      logger.info('Estadísticas de usuario actualizadas', { userId });
-    } catch (statsError) {
-      logger.error('Error actualizando estadísticas', { 
-        userId, 
-        error: statsError.message 
-      });
-      // No es crítico, continuar sin fallo
+    // ✅ STREAMING: fragmentos "token" y un evento final "done" con la respuesta completa
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'start', { conversationId: conversation._id });
+
+    // Si el cliente se desconecta se cancela la llamada a la IA. Se escucha el
+    // 'close' de la respuesta: el de req se emite en cuanto se termina de leer el body
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    let tokensSent = false;
+
+    const result = await chatService.processMessage({
+      userId,
+      conversation,
+      isNewConversation,
+      message,
+      chatContext,
+      channel: 'sse',
+      signal: abortController.signal,
+      onToken: (token) => {
+        tokensSent = true;
+        sendEvent(res, 'token', { content: token });
+      }
+    });
+
+    // La IA falló a mitad de la respuesta: el texto parcial no es el definitivo
+    // y el cliente debe descartarlo antes de mostrar el fallback de "done"
+    if (tokensSent && result.reply.type === 'fallback') {
+      sendEvent(res, 'reset', { reason: result.reply.degradedReason });
     }
 
-    // ✅ RESPUESTA FINAL
-    const response = {
-      response: chatResponse,
-      type: 'normal',
-      timestamp: new Date().toISOString(),
-      sessionId: userId
-    };
+    // "done" siempre lleva el texto completo: es la versión definitiva del mensaje
+    sendEvent(res, 'done', chatService.buildChatResponse(result));
+    res.end();
 
-    logger.info('Chat completado exitosamente', { 
+    logger.info('Chat en streaming completado', { 
       userId, 
-      responseType: response.type 
+      conversationId: conversation._id,
+      responseType: result.reply.type 
     });
 
-    res.json(response);
-
   } catch (error) {
+    if (error.code === 'LLM_ABORTED') {
+      logger.info('Cliente desconectado durante el streaming', { 
+        userId, 
+        conversationId: conversation && conversation._id 
+      });
+      return res.end();
+    }
+
     logger.error('Error en chat', { 
-      userId: req.userId, 
+      userId, 
       error: error.message, 
       stack: error.stack,
       ip: req.ip 
     });
+
+    if (!conversation) {
+      releaseSessionReservation(req);
+    }
+
+    if (res.headersSent) {
+      sendEvent(res, 'error', { 
+        error: 'Ha ocurrido un error procesando tu mensaje. Por favor intenta de nuevo.' 
+      });
+      return res.end();
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     
     res.status(500).json({ 
       error: 'Error interno del servidor',
@@ -0,0 +1,142 @@
+const express = require('express');
+const CrisisEvent = require('../models/CrisisEvent');
+const crisisEventService = require('../services/crisisEventService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const logger = require('../logger');
+
+const router = express.Router();
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Todas las rutas son para el equipo que hace seguimiento de crisis
+router.use(auth, requirePermission(PERMISSIONS.CRISIS_READ));
+
+// ✅ LISTAR EVENTOS DE CRISIS (FILTROS: status, level)
+router.get('/events', async (req, res) => {
+  try {
+    const { status, level } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Estado inválido. Usa: ${STATUSES.join(', ')}` });
+    }
+
+    if (level && !crisisEventService.EVENT_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `Nivel inválido. Usa: ${crisisEventService.EVENT_LEVELS.join(', ')}` });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (level) query.level = level;
+
+    const [events, total] = await Promise.all([
+      CrisisEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username email')
+        .lean(),
+      CrisisEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listando eventos de crisis', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ DETALLE DE UN EVENTO
+router.get('/events/:id', async (req, res) => {
+  try {
+    const event = await crisisEventService.findEventOrFail(req.params.id);
+    await event.populate([
+      { path: 'user', select: 'username email' },
+      { path: 'acknowledgedBy', select: 'username email' },
+      { path: 'resolvedBy', select: 'username email' }
+    ]);
+
+    res.json({ event });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error obteniendo evento de crisis', { 
+      eventId: req.params.id, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ RECONOCER UN EVENTO (open → acknowledged)
+router.patch('/events/:id/acknowledge', requirePermission(PERMISSIONS.CRISIS_MANAGE), async (req, res) => {
+  try {
+    const event = await crisisEventService.acknowledgeEvent(req.params.id, req.userId, req.body.notes);
+
+    logger.info('Evento de crisis reconocido', { eventId: event._id, staffId: req.userId });
+
+    res.json({ 
+      message: 'Evento reconocido',
+      event 
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error reconociendo evento de crisis', { 
+      eventId: req.params.id, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ RESOLVER UN EVENTO (→ resolved)
+router.patch('/events/:id/resolve', requirePermission(PERMISSIONS.CRISIS_MANAGE), async (req, res) => {
+  try {
+    const event = await crisisEventService.resolveEvent(req.params.id, req.userId, req.body.notes);
+
+    logger.info('Evento de crisis resuelto', { eventId: event._id, staffId: req.userId });
+
+    res.json({ 
+      message: 'Evento resuelto',
+      event 
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error resolviendo evento de crisis', { 
+      eventId: req.params.id, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const memoryService = require('../services/memoryService');
+const { auth } = require('../middleware/auth');
+const { validateMemoryUpdate } = require('../middleware/validation');
+const logger = require('../logger');
+
+const router = express.Router();
+
+// ✅ LO QUE EL ASISTENTE RECUERDA DEL USUARIO (FILTRO OPCIONAL: category)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    if (category && !memoryService.CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Categoría inválida. Usa: ${memoryService.CATEGORIES.join(', ')}` });
+    }
+
+    const memories = await memoryService.listMemories(req.userId, { category });
+
+    res.json({
+      memories,
+      memoryEnabled: req.user.preferences?.memoryEnabled !== false
+    });
+
+  } catch (error) {
+    logger.error('Error listando recuerdos', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ CORREGIR UN RECUERDO
+router.patch('/:id', auth, validateMemoryUpdate, async (req, res) => {
+  try {
+    const memory = await memoryService.updateMemory(req.userId, req.params.id, req.body);
+
+    res.json({ 
+      message: 'Recuerdo actualizado',
+      memory 
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error actualizando recuerdo', { 
+      userId: req.userId, 
+      memoryId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ OLVIDAR UN RECUERDO
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await memoryService.deleteMemory(req.userId, req.params.id);
+
+    res.json({ message: 'Recuerdo eliminado' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error eliminando recuerdo', { 
+      userId: req.userId, 
+      memoryId: req.params.id,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ OLVIDAR TODO
+router.delete('/', auth, async (req, res) => {
+  try {
+    const deleted = await memoryService.deleteAllMemories(req.userId);
+
+    logger.info('Recuerdos eliminados por el usuario', { userId: req.userId, deleted });
+
+    res.json({ 
+      message: 'Se eliminaron todos tus recuerdos',
+      deleted 
+    });
+
+  } catch (error) {
+    logger.error('Error eliminando recuerdos', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,15 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const MoodEntry = require('../models/MoodEntry');
+const { resolveTimezone, toLocalDateKey } = require('../utils/timezone');
+const { auth } = require('../middleware/auth');
+const { validateMoodEntry } = require('../middleware/validation');
 const logger = require('../logger');
 
 const router = express.Router();
 
-// ✅ MIDDLEWARE DE AUTENTICACIÓN MEJORADO (igual que chat.js)
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      logger.warn('Token no proporcionado en progress', { path: req.path, ip: req.ip });
-      return res.status(401).json({ error: 'Token de acceso requerido' });
-    }
-
-    // Verificar y decodificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verificar que el usuario existe
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      logger.warn('Usuario no encontrado en BD (progress)', { userId: decoded.userId, ip: req.ip });
-      return res.status(403).json({ error: 'Usuario no encontrado' });
-    }
-
-    // Adjuntar usuario a la request
-    req.user = user;
-    req.userId = decoded.userId;
-    
-    next();
-  } catch (error) {
-    logger.error('Error en autenticación (progress)', { 
-      error: error.message, 
-      token: req.headers.authorization?.substring(0, 50) + '...',
-      ip: req.ip 
-    });
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({ error: 'Token inválido' });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({ error: 'Token expirado' });
-    }
-    
-    return res.status(403).json({ error: 'Error de autenticación' });
-  }
-};
-
 // ✅ OBTENER PROGRESO DEL USUARIO
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', auth, async (req, res) => {
   try {
     const userId = req.userId;
     
@@ -96,17 +54,10 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // ✅ GUARDAR MOOD (ESTADO DE ÁNIMO)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', auth, validateMoodEntry, async (req, res) => {
   try {
     const userId = req.userId;
-    const { mood, note = '' } = req.body;
-    
-    // Validación de mood
-    if (!mood || mood < 1 || mood > 10) {
-      return res.status(400).json({ 
-        error: 'El mood debe ser un número entre 1 y 10' 
-      });
-    }
+    const { mood, note } = req.body;
 
     logger.info('Guardando mood del usuario', { 
       userId, 
@@ -119,40 +70,43 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Usuario no encontrado' });
     }
 
-    // Calcular nuevo promedio de mood
-    const currentDays = user.daysTracked || 0;
-    const currentAverage = user.moodAverage || 0;
-    
-    const newDaysTracked = currentDays + 1;
-    const newMoodAverage = ((currentAverage * currentDays) + mood) / newDaysTracked;
+    // Guardar el registro con la zona horaria del usuario
+    const entry = await MoodEntry.create({
+      user: userId,
+      mood,
+      note,
+      timezone: resolveTimezone(req.body.timezone, user.timezone)
+    });
+
+    // Recalcular promedio y días registrados desde los registros guardados
+    const summary = await MoodEntry.getSummary(userId);
 
-    // Actualizar usuario
     await User.updateOne(
       { _id: userId },
       {
         $set: { 
-          moodAverage: Math.round(newMoodAverage * 10) / 10, // Redondear a 1 decimal
+          moodAverage: summary.averageMood,
+          daysTracked: summary.daysTracked,
           lastActivity: new Date()
-        },
-        $inc: { daysTracked: 1 }
+        }
       }
     );
-
-    const updatedUser = await User.findById(userId);
     
     const moodEntry = {
-      mood: parseInt(mood),
-      note: note.trim(),
-      timestamp: new Date(),
-      averageMood: updatedUser.moodAverage,
-      daysTracked: updatedUser.daysTracked
+      id: entry._id,
+      mood: entry.mood,
+      note: entry.note,
+      timestamp: entry.recordedAt,
+      timezone: entry.timezone,
+      averageMood: summary.averageMood,
+      daysTracked: summary.daysTracked
     };
 
     logger.info('Mood guardado exitosamente', { 
       userId, 
       mood: mood,
-      newAverage: updatedUser.moodAverage,
-      daysTracked: updatedUser.daysTracked 
+      newAverage: summary.averageMood,
+      daysTracked: summary.daysTracked 
     });
 
     res.json({ 
@@ -174,46 +128,37 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// ✅ OBTENER HISTORIAL DE MOODS (ÚLTIMOS 30 DÍAS)
-router.get('/mood-history', authenticateToken, async (req, res) => {
+// ✅ OBTENER HISTORIAL DE MOODS (ÚLTIMOS 30 DÍAS POR DEFECTO)
+router.get('/mood-history', auth, async (req, res) => {
   try {
     const userId = req.userId;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
     
-    logger.info('Obteniendo historial de moods', { userId });
-    
-    // Simular historial basado en datos del usuario
-    // En un sistema real, esto vendría de una colección separada
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'Usuario no encontrado' });
-    }
-
-    // Generar historial simulado basado en datos reales
-    const history = [];
-    const days = user.daysTracked || 0;
-    
-    if (days > 0) {
-      // Simular datos históricos basados en el promedio actual
-      const baseMood = user.moodAverage || 5;
-      const today = new Date();
-      
-      for (let i = 0; i < Math.min(days, 30); i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        
-        // Variar el mood alrededor del promedio
-        const variation = (Math.random() - 0.5) * 4; // Variación de ±2
-        const simulatedMood = Math.max(1, Math.min(10, Math.round(baseMood + variation)));
-        
-        history.push({
-          mood: simulatedMood,
-          note: i === 0 ? 'Entrada reciente' : '',
-          timestamp: date.toISOString(),
-          date: date.toLocaleDateString('es-ES')
-        });
-      }
-    }
+    logger.info('Obteniendo historial de moods', { userId, days });
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const [entries, overall] = await Promise.all([
+      MoodEntry.find({ user: userId, recordedAt: { $gte: since } })
+        .sort({ recordedAt: -1 })
+        .lean(),
+      MoodEntry.getSummary(userId)
+    ]);
+
+    // Historial ordenado del más reciente al más antiguo
+    const history = entries.map(entry => ({
+      id: entry._id,
+      mood: entry.mood,
+      note: entry.note,
+      timestamp: entry.recordedAt.toISOString(),
+      timezone: entry.timezone,
+      date: entry.recordedAt.toLocaleDateString('es-ES', { timeZone: entry.timezone })
+    }));
+
+    const periodAverage = history.length > 0
+      ? Math.round((history.reduce((sum, entry) => sum + entry.mood, 0) / history.length) * 10) / 10
+      : 0;
 
     logger.info('Historial de moods obtenido', { 
       userId, 
@@ -224,8 +169,10 @@ router.get('/mood-history', authenticateToken, async (req, res) => {
       history,
       summary: {
         totalEntries: history.length,
-        averageMood: user.moodAverage,
-        daysTracked: user.daysTracked,
+        averageMood: periodAverage,
+        overallAverage: overall.averageMood,
+        daysTracked: overall.daysTracked,
+        activeDays: new Set(entries.map(entry => toLocalDateKey(entry.recordedAt, entry.timezone))).size,
         trend: calculateTrend(history)
       }
     });
@@ -245,7 +192,7 @@ router.get('/mood-history', authenticateToken, async (req, res) => {
 });
 
 // ✅ OBTENER RESUMEN GENERAL DEL PROGRESO
-router.get('/overview', authenticateToken, async (req, res) => {
+router.get('/overview', auth, async (req, res) => {
   try {
     const userId = req.userId;
     
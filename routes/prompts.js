@@ -0,0 +1,141 @@
+const express = require('express');
+const promptRegistry = require('../services/promptRegistry');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validatePromptVersion, validatePromptExperiment } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/roles');
+const logger = require('../logger');
+
+const router = express.Router();
+
+// Administración del registro de prompts (ver services/promptRegistry.js)
+router.use(auth, requirePermission(PERMISSIONS.PROMPTS_MANAGE));
+
+// ✅ LISTAR VERSIONES DE UN PROMPT
+router.get('/:key/versions', async (req, res) => {
+  try {
+    const versions = await promptRegistry.listVersions(req.params.key);
+    res.json({ versions });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error listando versiones de prompt', { 
+      userId: req.userId, 
+      key: req.params.key,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ CREAR UNA VERSIÓN NUEVA (NO SE ACTIVA HASTA DESPLEGARLA)
+router.post('/:key/versions', validatePromptVersion, async (req, res) => {
+  try {
+    const version = await promptRegistry.createVersion(req.params.key, req.body, req.userId);
+
+    logger.info('Versión de prompt creada', {
+      userId: req.userId,
+      key: version.key,
+      version: version.version
+    });
+
+    res.status(201).json({
+      message: 'Versión de prompt creada exitosamente',
+      version
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error creando versión de prompt', { 
+      userId: req.userId, 
+      key: req.params.key,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ DESPLIEGUE ACTUAL (VERSIÓN ACTIVA O EXPERIMENTO)
+router.get('/:key/rollout', async (req, res) => {
+  try {
+    const rollout = await promptRegistry.getRollout(req.params.key);
+    res.json({ rollout });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error obteniendo despliegue de prompt', { 
+      userId: req.userId, 
+      key: req.params.key,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ACTIVAR UNA VERSIÓN PARA TODOS LOS USUARIOS (TERMINA CUALQUIER EXPERIMENTO)
+router.post('/:key/versions/:version/activate', async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version, 10);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Número de versión inválido' });
+    }
+
+    const rollout = await promptRegistry.activateVersion(req.params.key, versionNumber, req.userId);
+
+    res.json({
+      message: `Versión ${versionNumber} activada`,
+      rollout
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error activando versión de prompt', { 
+      userId: req.userId, 
+      key: req.params.key,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ INICIAR UN EXPERIMENTO A/B CON PESOS ENTRE VERSIONES
+router.put('/:key/experiment', validatePromptExperiment, async (req, res) => {
+  try {
+    const rollout = await promptRegistry.startExperiment(req.params.key, req.body.variants, req.userId);
+
+    res.json({
+      message: 'Experimento iniciado',
+      rollout
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error iniciando experimento de prompt', { 
+      userId: req.userId, 
+      key: req.params.key,
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const resourceService = require('../services/resourceService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { validateCrisisResource } = require('../middleware/validation');
+const logger = require('../logger');
+
+const router = express.Router();
+
+const COUNTRY_CODE = /^[A-Za-z]{2}$/;
+
+// ✅ RECURSOS DE CRISIS (PÚBLICO)
+// GET /api/resources/crisis?country=CO&city=Bogota&timezone=America/Bogota
+router.get('/crisis', async (req, res) => {
+  try {
+    const { country, city, timezone } = req.query;
+
+    if (country && !COUNTRY_CODE.test(country)) {
+      return res.status(400).json({ error: 'El país debe ser un código ISO de 2 letras' });
+    }
+
+    const resources = await resourceService.getCrisisResources({ country, city, timezone });
+
+    res.json({ resources });
+
+  } catch (error) {
+    logger.error('Error obteniendo recursos de crisis', { 
+      query: req.query, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ CREAR O ACTUALIZAR RECURSOS DE UN PAÍS O CIUDAD (ADMIN)
+router.put('/crisis/:country', auth, requirePermission(PERMISSIONS.RESOURCES_MANAGE), validateCrisisResource, async (req, res) => {
+  try {
+    const { country } = req.params;
+
+    if (!COUNTRY_CODE.test(country)) {
+      return res.status(400).json({ error: 'El país debe ser un código ISO de 2 letras' });
+    }
+
+    const entry = await resourceService.upsertCrisisResources(country, req.body, req.userId);
+
+    logger.info('Recursos de crisis actualizados', { 
+      country: entry.country, 
+      city: entry.city, 
+      updatedBy: req.userId 
+    });
+
+    res.json({ 
+      message: 'Recursos de crisis actualizados',
+      entry 
+    });
+
+  } catch (error) {
+    logger.error('Error actualizando recursos de crisis', { 
+      country: req.params.country, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ELIMINAR ENTRADA GUARDADA (VUELVE AL DIRECTORIO BASE) (ADMIN)
+router.delete('/crisis/:country', auth, requirePermission(PERMISSIONS.RESOURCES_MANAGE), async (req, res) => {
+  try {
+    const { country } = req.params;
+
+    if (!COUNTRY_CODE.test(country)) {
+      return res.status(400).json({ error: 'El país debe ser un código ISO de 2 letras' });
+    }
+
+    const entry = await resourceService.deleteCrisisResources(country, req.query.city);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+
+    logger.info('Recursos de crisis eliminados', { 
+      country: entry.country, 
+      city: entry.city, 
+      deletedBy: req.userId 
+    });
+
+    res.json({ message: 'Entrada eliminada exitosamente' });
+
+  } catch (error) {
+    logger.error('Error eliminando recursos de crisis', { 
+      country: req.params.country, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
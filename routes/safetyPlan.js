@@ -0,0 +1,106 @@
+const express = require('express');
+const SafetyPlan = require('../models/SafetyPlan');
+const { auth } = require('../middleware/auth');
+const { validateSafetyPlan } = require('../middleware/validation');
+const logger = require('../logger');
+
+const router = express.Router();
+
+// ✅ OBTENER EL PLAN DE SEGURIDAD DEL USUARIO
+router.get('/', auth, async (req, res) => {
+  try {
+    const safetyPlan = await SafetyPlan.findOne({ user: req.userId }).lean();
+
+    if (!safetyPlan) {
+      return res.status(404).json({ error: 'Aún no tienes un plan de seguridad' });
+    }
+
+    res.json({ safetyPlan });
+
+  } catch (error) {
+    logger.error('Error obteniendo plan de seguridad', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ CREAR EL PLAN DE SEGURIDAD
+router.post('/', auth, validateSafetyPlan, async (req, res) => {
+  try {
+    const exists = await SafetyPlan.exists({ user: req.userId });
+    if (exists) {
+      return res.status(409).json({ error: 'Ya tienes un plan de seguridad. Usa PUT para actualizarlo.' });
+    }
+
+    const safetyPlan = await SafetyPlan.create({ ...req.body, user: req.userId });
+
+    logger.info('Plan de seguridad creado', { userId: req.userId });
+
+    res.status(201).json({ 
+      message: 'Plan de seguridad creado exitosamente',
+      safetyPlan 
+    });
+
+  } catch (error) {
+    logger.error('Error creando plan de seguridad', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ACTUALIZAR (REEMPLAZAR) EL PLAN DE SEGURIDAD
+router.put('/', auth, validateSafetyPlan, async (req, res) => {
+  try {
+    const safetyPlan = await SafetyPlan.findOneAndUpdate(
+      { user: req.userId },
+      { $set: req.body },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Plan de seguridad actualizado', { userId: req.userId });
+
+    res.json({ 
+      message: 'Plan de seguridad actualizado exitosamente',
+      safetyPlan 
+    });
+
+  } catch (error) {
+    logger.error('Error actualizando plan de seguridad', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ✅ ELIMINAR EL PLAN DE SEGURIDAD
+router.delete('/', auth, async (req, res) => {
+  try {
+    const safetyPlan = await SafetyPlan.findOneAndDelete({ user: req.userId });
+
+    if (!safetyPlan) {
+      return res.status(404).json({ error: 'Aún no tienes un plan de seguridad' });
+    }
+
+    logger.info('Plan de seguridad eliminado', { userId: req.userId });
+
+    res.json({ message: 'Plan de seguridad eliminado exitosamente' });
+
+  } catch (error) {
+    logger.error('Error eliminando plan de seguridad', { 
+      userId: req.userId, 
+      error: error.message 
+    });
+    
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Crea el primer superadmin (o asciende a superadmin una cuenta existente).
+ *
+ *   SUPERADMIN_EMAIL=admin@mindsync.co SUPERADMIN_PASSWORD='...' npm run seed:superadmin
+ *
+ * Variables: SUPERADMIN_EMAIL (requerida), SUPERADMIN_PASSWORD (requerida solo
+ * si la cuenta no existe), SUPERADMIN_USERNAME (opcional) y MONGODB_URI.
+ * También migra las cuentas con el rol anterior 'admin' a 'superadmin'.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+const seedSuperadmin = async () => {
+  const email = (process.env.SUPERADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.SUPERADMIN_PASSWORD;
+
+  if (!email) {
+    throw new Error('Define SUPERADMIN_EMAIL');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mindsync');
+
+  // Rol 'admin' de la versión anterior (ya no existe en el esquema)
+  const legacy = await User.collection.updateMany({ role: 'admin' }, { $set: { role: 'superadmin' } });
+  if (legacy.modifiedCount > 0) {
+    console.log(`Cuentas 'admin' migradas a 'superadmin': ${legacy.modifiedCount}`);
+  }
+
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    await User.updateOne({ _id: existing._id }, { role: 'superadmin', isActive: true });
+    console.log(`La cuenta ${email} ahora es superadmin`);
+    return;
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Define SUPERADMIN_PASSWORD (mínimo ${MIN_PASSWORD_LENGTH} caracteres) para crear la cuenta`);
+  }
+
+  const username = (process.env.SUPERADMIN_USERNAME || email.split('@')[0])
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]/g, '')
+    .substring(0, 30)
+    .padEnd(3, '0');
+
+  await User.create({
+    username,
+    email,
+    password,
+    name: 'Superadmin',
+    role: 'superadmin',
+    userType: 'professional',
+    emailVerified: true,
+    verifiedAt: new Date()
+  });
+
+  console.log(`Superadmin creado: ${email} (usuario: ${username})`);
+};
+
+seedSuperadmin()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('No se pudo crear el superadmin:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
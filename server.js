@@ -1,4 +1,6 @@
 const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -12,9 +14,21 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const progressRoutes = require('./routes/progress');
+const resourceRoutes = require('./routes/resources');
+const crisisRoutes = require('./routes/crisis');
+const safetyPlanRoutes = require('./routes/safetyPlan');
+const adminRoutes = require('./routes/admin');
+const memoryRoutes = require('./routes/memories');
+const promptRoutes = require('./routes/prompts');
 const logger = require('./logger'); // Usar logger personalizado
+const registerChatNamespace = require('./sockets/chat');
+const { assertSecretsConfigured } = require('./services/tokenService');
+
+// Sin JWT_SECRET / JWT_REFRESH_SECRET / TOTP_ENCRYPTION_KEY no se arranca fuera de desarrollo
+assertSecretsConfigured();
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 8080;
 
 // ✅ TRUST PROXY para Railway
@@ -42,14 +56,14 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Name']
 };
 
 // ✅ OPTIONS handling preflight
 app.options('*', (req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,PATCH,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,X-Device-Name');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.status(200).end();
   next();
@@ -115,6 +129,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mindsync'
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/progress', progressRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/crisis', crisisRoutes);
+app.use('/api/safety-plan', safetyPlanRoutes);
+app.use('/api/admin/prompts', promptRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/memories', memoryRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -163,8 +183,16 @@ process.on('SIGINT', async () => {
   }
 });
 
+// Socket.IO (chat en tiempo real)
+const io = new Server(server, {
+  cors: corsOptions
+});
+
+registerChatNamespace(io);
+app.set('io', io);
+
 // Start server
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   logger.info(`MindSync Backend API running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'production'}`);
 });
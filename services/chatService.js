@@ -0,0 +1,356 @@
+const User = require('../models/User');
+const SafetyPlan = require('../models/SafetyPlan');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { generateSuggestions } = require('./aiService');
+const llm = require('./llm');
+const crisisService = require('./crisisService');
+const contextService = require('./contextService');
+const memoryService = require('./memoryService');
+const promptComposer = require('./promptComposer');
+const promptRegistry = require('./promptRegistry');
+const resourceService = require('./resourceService');
+const crisisEventService = require('./crisisEventService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+// Tope de mensajes sin resumir que se cargan; el presupuesto de tokens
+// (contextService) decide cuántos se envían realmente al modelo
+const MAX_HISTORY_MESSAGES = 40;
+
+// Respuestas cuando la IA no está disponible, por idioma (preferences.language)
+const FALLBACK_RESPONSES = {
+  es: [
+    "Gracias por compartir conmigo lo que sientes. Entiendo que puede ser difícil expresar lo que hay en tu interior. ¿Qué te gustaría explorar más profundamente hoy?",
+    "Escucho que estás pasando por un momento difícil. Recuerda que cada día es una nueva oportunidad para cuidar de ti mismo. ¿Hay algo específico que te gustaría trabajar?",
+    "Valoro mucho que compartas tus pensamientos conmigo. El bienestar emocional es un proceso, y estar aquí hablando es un paso importante. ¿Cómo puedo apoyarte mejor?",
+    "Es muy valiente de tu parte buscar apoyo. Cada persona merece sentir paz y equilibrio. ¿Qué te ayudaría a sentirte un poco mejor en este momento?"
+  ],
+  en: [
+    "Thank you for sharing how you feel with me. I understand it can be hard to put what's inside into words. What would you like to explore more deeply today?",
+    "I hear that you're going through a difficult time. Remember that every day is a new chance to take care of yourself. Is there something specific you'd like to work on?",
+    "I really value you sharing your thoughts with me. Emotional well-being is a process, and being here talking is an important step. How can I best support you?",
+    "It's very brave of you to look for support. Everyone deserves to feel peace and balance. What would help you feel a little better right now?"
+  ],
+  pt: [
+    "Obrigado por compartilhar comigo o que você sente. Entendo que pode ser difícil expressar o que está aí dentro. O que você gostaria de explorar mais a fundo hoje?",
+    "Percebo que você está passando por um momento difícil. Lembre-se de que cada dia é uma nova oportunidade de cuidar de si. Há algo específico em que você gostaria de trabalhar?",
+    "Valorizo muito que você compartilhe seus pensamentos comigo. O bem-estar emocional é um processo, e estar aqui conversando é um passo importante. Como posso te apoiar melhor?",
+    "É muito corajoso da sua parte buscar apoio. Todo mundo merece sentir paz e equilíbrio. O que te ajudaria a se sentir um pouco melhor agora?"
+  ]
+};
+
+// Motivo legible por el cliente cuando la respuesta es de fallback (degraded)
+const DEGRADED_REASONS = {
+  LLM_TIMEOUT: 'timeout',
+  LLM_CIRCUIT_OPEN: 'circuit_open'
+};
+
+// ✅ TÍTULO DE CONVERSACIÓN A PARTIR DEL PRIMER MENSAJE
+const buildConversationTitle = (message) => {
+  const title = message.trim().replace(/\s+/g, ' ');
+  return title.length > 60 ? `${title.substring(0, 57)}...` : title;
+};
+
+// ✅ CONVERSACIÓN EXISTENTE O NUEVA
+const resolveConversation = async (userId, conversationId, message) => {
+  if (conversationId) {
+    const conversation = await Conversation.findOwned(conversationId, userId);
+    if (!conversation) {
+      throw createHttpError(404, 'Conversación no encontrada');
+    }
+    return { conversation, isNewConversation: false };
+  }
+
+  const conversation = await Conversation.create({
+    user: userId,
+    title: buildConversationTitle(message)
+  });
+
+  return { conversation, isNewConversation: true };
+};
+
+// ✅ RESPUESTA DE FALLBACK
+const pickFallbackResponse = (language) => {
+  const responses = FALLBACK_RESPONSES[language] || FALLBACK_RESPONSES.es;
+  return responses[Math.floor(Math.random() * responses.length)];
+};
+
+// ✅ PERFIL Y PREFERENCIAS DEL USUARIO PARA EL CHAT
+const loadUserContext = async (userId) => {
+  try {
+    const user = await User.findById(userId)
+      .select('name timezone country city preferences')
+      .lean();
+    return user || {};
+  } catch (error) {
+    logger.error('Error cargando preferencias del usuario', { userId, error: error.message });
+    return {};
+  }
+};
+
+// Prompt personalizado con la persona del registro, las preferencias, los recuerdos y el contexto del mensaje
+const buildSystemPrompt = (persona, userContext, chatContext) => {
+  return promptComposer.composeSystemPrompt({
+    persona,
+    preferences: userContext.preferences,
+    name: userContext.name,
+    memories: userContext.memories,
+    context: chatContext
+  });
+};
+
+/**
+ * Llamada al proveedor LLM (con streaming opcional). Devuelve el texto y
+ * `generation`: la versión del prompt y los parámetros del modelo usados,
+ * que se guardan en el mensaje del asistente.
+ */
+const requestCompletion = async ({ userId, context, message, onToken, signal, userContext = {}, chatContext }) => {
+  const provider = llm.getProvider();
+  const prompt = await promptRegistry.resolvePrompt(promptRegistry.CHAT_PROMPT_KEY, userId);
+
+  const { messages, tokenCount, omittedHistory } = contextService.assembleMessages({
+    systemPrompt: buildSystemPrompt(prompt.content, userContext, chatContext),
+    summary: context.summary,
+    history: context.history,
+    message
+  });
+
+  if (omittedHistory > 0) {
+    logger.info('Historial recortado por presupuesto de tokens', { tokenCount, omittedHistory });
+  }
+
+  const params = { ...prompt.params, messages, signal };
+
+  const result = onToken
+    ? await provider.stream(params, onToken)
+    : await provider.complete(params);
+
+  return {
+    content: result.content,
+    generation: {
+      prompt: prompt.record,
+      modelParams: { ...prompt.params, model: result.model || prompt.params.model }
+    }
+  };
+};
+
+// ✅ GUARDAR INTERCAMBIO (MENSAJE + RESPUESTA) EN LA CONVERSACIÓN
+const saveExchange = async (conversation, userId, message, reply) => {
+  const [, assistantMessage] = await Message.create([
+    { conversation: conversation._id, user: userId, role: 'user', content: message },
+    {
+      conversation: conversation._id,
+      user: userId,
+      role: 'assistant',
+      content: reply.content,
+      type: reply.type,
+      metadata: reply.type === 'fallback'
+        ? { crisis: reply.crisis, degradedReason: reply.degradedReason }
+        : { crisis: reply.crisis, ...reply.generation }
+    }
+  ], { ordered: true });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $inc: { messageCount: 2 },
+      $set: { lastMessageAt: assistantMessage.createdAt }
+    }
+  );
+
+  return assistantMessage;
+};
+
+// ✅ ACTUALIZAR ESTADÍSTICAS DEL USUARIO
+const updateUserStats = async (userId, isNewConversation) => {
+  try {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $inc: { 
+          totalSessions: isNewConversation ? 1 : 0, 
+          totalMessages: 1 
+        },
+        $set: { 
+          lastActivity: new Date() 
+        }
+      }
+    );
+    logger.info('Estadísticas de usuario actualizadas', { userId });
+  } catch (statsError) {
+    logger.error('Error actualizando estadísticas', { 
+      userId, 
+      error: statsError.message 
+    });
+    // No es crítico, continuar sin fallo
+  }
+};
+
+/**
+ * Procesa un mensaje del usuario: evaluación de crisis, respuesta de la IA
+ * (o fallback) y persistencia. Es el mismo flujo para todos los canales.
+ * Si se pasa `onToken`, la respuesta de la IA se emite por fragmentos;
+ * las respuestas de crisis y de fallback nunca se fragmentan. `chatContext`
+ * es el contexto opcional del mensaje (currentMood, situation). Si `signal`
+ * se aborta (el cliente se desconectó), la llamada a la IA se cancela y se
+ * lanza el LLMError LLM_ABORTED sin guardar nada.
+ */
+const processMessage = async ({ userId, conversation, isNewConversation = false, message, chatContext, onToken, signal, channel = 'rest' }) => {
+  // El contexto se construye con el resumen y el historial guardados, no con lo que envíe el cliente
+  const context = await contextService.loadConversationContext(conversation, MAX_HISTORY_MESSAGES);
+
+  logger.info('Mensaje de chat recibido', { 
+    userId, 
+    conversationId: conversation._id,
+    messageLength: message.length, 
+    historyCount: context.history.length,
+    hasSummary: Boolean(context.summary),
+    streaming: Boolean(onToken)
+  });
+
+  let reply;
+  const userContext = await loadUserContext(userId);
+  const crisis = crisisService.assessCrisis(message);
+
+  // Riesgo medio o alto: respuesta escalonada del motor de crisis, sin pasar por la IA
+  if (crisis.isCrisis) {
+    logger.warn('Palabras de crisis detectadas', { 
+      userId, 
+      conversationId: conversation._id,
+      level: crisis.level,
+      matches: crisis.matches.map(match => match.phrase)
+    });
+
+    // Recursos según el país del perfil o la zona horaria, y el plan de seguridad propio.
+    // Un fallo aquí no debe impedir que el usuario reciba la respuesta de crisis.
+    const safetyPlan = await SafetyPlan.findOne({ user: userId }).lean().catch(error => {
+      logger.error('Error cargando plan de seguridad del usuario', { userId, error: error.message });
+      return null;
+    });
+    const resources = await resourceService.getCrisisResources(userContext);
+    const crisisResponse = crisisService.generateCrisisResponse(crisis.level, {
+      resources,
+      safetyPlan,
+      language: userContext.preferences?.language
+    });
+
+    reply = {
+      content: crisisResponse.message,
+      type: 'crisis',
+      crisis: {
+        level: crisis.level,
+        urgency: crisisResponse.urgency,
+        matches: crisis.matches.map(match => match.phrase)
+      },
+      resources,
+      safetyPlan: crisisResponse.safetyPlan
+    };
+  } else {
+    if (userContext.preferences?.memoryEnabled !== false) {
+      userContext.memories = await memoryService.retrieveMemories(userId, message);
+    }
+
+    try {
+      const completion = await requestCompletion({ userId, context, message, onToken, signal, userContext, chatContext });
+      reply = {
+        content: completion.content,
+        type: 'normal',
+        crisis: { level: crisis.level },
+        generation: completion.generation
+      };
+      logger.info('Respuesta de IA generada', { 
+        userId, 
+        responseLength: reply.content.length,
+        promptVersion: reply.generation.prompt.version
+      });
+    } catch (providerError) {
+      if (providerError.code === 'LLM_ABORTED') {
+        throw providerError;
+      }
+
+      logger.error('Error con el proveedor de IA, usando respuesta de fallback', { 
+        userId, 
+        code: providerError.code,
+        error: providerError.message 
+      });
+
+      reply = {
+        content: pickFallbackResponse(userContext.preferences?.language),
+        type: 'fallback',
+        crisis: { level: crisis.level },
+        degradedReason: DEGRADED_REASONS[providerError.code] || 'provider_error'
+      };
+    }
+  }
+
+  const assistantMessage = await saveExchange(conversation, userId, message, reply);
+  await updateUserStats(userId, isNewConversation);
+  contextService.scheduleSummaryRefresh(conversation._id);
+
+  // Solo se aprende de intercambios normales (nunca de crisis ni de fallbacks)
+  if (reply.type === 'normal' && userContext.preferences?.memoryEnabled !== false) {
+    memoryService.scheduleExtraction({ userId, conversationId: conversation._id, message });
+  }
+
+  // ✅ REGISTRO DEL EVENTO DE CRISIS PARA SEGUIMIENTO
+  if (crisis.isCrisis) {
+    try {
+      await crisisEventService.recordCrisisEvent({
+        userId,
+        conversationId: conversation._id,
+        messageId: assistantMessage._id,
+        crisis,
+        channel
+      });
+    } catch (eventError) {
+      // El usuario debe recibir la respuesta de crisis aunque falle el registro
+      logger.error('Error registrando evento de crisis', { 
+        userId, 
+        error: eventError.message 
+      });
+    }
+  }
+
+  return { conversation, reply, assistantMessage, message, userContext };
+};
+
+/**
+ * Respuesta pública común a REST, SSE y sockets. `degraded` indica que la IA
+ * no estaba disponible y se respondió con un fallback; `degradedReason`
+ * (timeout, circuit_open o provider_error) permite mostrar un aviso.
+ */
+const buildChatResponse = ({ conversation, reply, assistantMessage, message, userContext }) => {
+  const response = {
+    response: reply.content,
+    type: reply.type === 'fallback' ? 'normal' : reply.type,
+    timestamp: assistantMessage.createdAt.toISOString(),
+    conversationId: conversation._id,
+    messageId: assistantMessage._id,
+    sessionId: conversation._id,
+    suggestions: reply.type === 'crisis' ? [] : generateSuggestions(message, reply.content, userContext),
+    crisisLevel: reply.crisis.level,
+    degraded: reply.type === 'fallback'
+  };
+
+  if (response.degraded) {
+    response.degradedReason = reply.degradedReason;
+  }
+
+  if (reply.type === 'crisis') {
+    response.isEmergency = reply.crisis.urgency === 'immediate';
+    response.urgency = reply.crisis.urgency;
+    response.resources = reply.resources;
+    response.safetyPlan = reply.safetyPlan;
+  }
+
+  return response;
+};
+
+module.exports = {
+  MAX_HISTORY_MESSAGES,
+  buildConversationTitle,
+  resolveConversation,
+  processMessage,
+  buildChatResponse
+};
@@ -0,0 +1,185 @@
+const llm = require('./llm');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const logger = require('../logger');
+
+/**
+ * Ventana de contexto del chat.
+ *
+ * Los turnos recientes se envían tal cual mientras quepan en el presupuesto de
+ * tokens (CONTEXT_MAX_TOKENS, por defecto 3000, sin contar la respuesta). Los
+ * turnos antiguos se comprimen en un resumen acumulado que se guarda en la
+ * conversación (summary / summaryUpTo) y se actualiza en segundo plano.
+ */
+
+// Estimación sin tokenizador: ~4 caracteres por token más el costo fijo de
+// cada mensaje en el formato de chat
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const KEEP_RECENT_MESSAGES = 8; // nunca se resumen los últimos 8 mensajes
+const SUMMARY_BATCH_MESSAGES = 10; // mensajes antiguos sin resumir que disparan un nuevo resumen
+const MAX_MESSAGES_PER_SUMMARY = 100;
+const SUMMARY_MAX_TOKENS = 400;
+
+const SUMMARY_PROMPT = `Resumes conversaciones entre una persona y MindSync, un asistente de bienestar emocional.
+Actualiza el resumen anterior con los mensajes nuevos. Conserva lo importante para dar continuidad:
+situación personal, personas mencionadas, emociones y su evolución, técnicas que ayudaron o no,
+acuerdos y señales de riesgo. Escribe en tercera persona, en español, en un solo párrafo de máximo
+150 palabras. No inventes nada que no esté en los mensajes.`;
+
+const getContextBudget = () => parseInt(process.env.CONTEXT_MAX_TOKENS, 10) || 3000;
+
+const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const countMessageTokens = (message) => estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+
+const buildSummaryMessage = (summary) => ({
+  role: 'system',
+  content: `Resumen de la conversación anterior (contexto, no lo repitas textualmente): ${summary}`
+});
+
+/**
+ * Arma los mensajes para el modelo: prompt de sistema, resumen (si hay), los
+ * turnos más recientes que quepan en el presupuesto y el mensaje actual. Los
+ * turnos se descartan del más antiguo al más reciente.
+ */
+const assembleMessages = ({ systemPrompt, summary, history = [], message, budget = getContextBudget() }) => {
+  const head = [{ role: 'system', content: systemPrompt }];
+  if (summary) {
+    head.push(buildSummaryMessage(summary));
+  }
+  const current = { role: 'user', content: message };
+
+  let tokenCount = [...head, current].reduce((total, msg) => total + countMessageTokens(msg), 0);
+  const included = [];
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = { role: history[i].role, content: history[i].content };
+    const tokens = countMessageTokens(msg);
+
+    if (tokenCount + tokens > budget) break;
+
+    included.unshift(msg);
+    tokenCount += tokens;
+  }
+
+  return {
+    messages: [...head, ...included, current],
+    tokenCount,
+    includedHistory: included.length,
+    omittedHistory: history.length - included.length
+  };
+};
+
+// ✅ CONTEXTO GUARDADO: RESUMEN + MENSAJES POSTERIORES AL RESUMEN
+const loadConversationContext = async (conversation, limit) => {
+  const history = await Message.getRecentHistory(conversation._id, limit, {
+    afterId: conversation.summaryUpTo
+  });
+
+  return { summary: conversation.summary || null, history };
+};
+
+const formatTranscript = (messages) => {
+  return messages
+    .map(msg => `${msg.role === 'user' ? 'Usuario' : 'Asistente'}: ${msg.content}`)
+    .join('\n');
+};
+
+/**
+ * Incorpora al resumen los mensajes sin resumir que quedaron fuera de la
+ * ventana reciente. La actualización es condicional sobre summaryUpTo para
+ * que dos refrescos simultáneos no se pisen. Devuelve true si actualizó.
+ */
+const refreshSummary = async (conversationId) => {
+  const conversation = await Conversation.findById(conversationId)
+    .select('summary summaryUpTo')
+    .lean();
+  if (!conversation) return false;
+
+  const filter = { conversation: conversationId };
+  if (conversation.summaryUpTo) {
+    filter._id = { $gt: conversation.summaryUpTo };
+  }
+
+  const pending = await Message.countDocuments(filter);
+  if (pending < KEEP_RECENT_MESSAGES + SUMMARY_BATCH_MESSAGES) return false;
+
+  const toSummarize = await Message.find(filter)
+    .sort({ _id: 1 })
+    .limit(Math.min(pending - KEEP_RECENT_MESSAGES, MAX_MESSAGES_PER_SUMMARY))
+    .select('role content')
+    .lean();
+
+  const completion = await llm.getBackgroundProvider().complete({
+    task: 'summary',
+    model: llm.DEFAULT_MODEL,
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: [
+          `Resumen anterior: ${conversation.summary || '(ninguno)'}`,
+          '',
+          'Mensajes nuevos:',
+          formatTranscript(toSummarize)
+        ].join('\n')
+      }
+    ],
+    maxTokens: SUMMARY_MAX_TOKENS,
+    temperature: 0.3
+  });
+
+  const summary = (completion.content || '').trim();
+  if (!summary) return false;
+
+  const result = await Conversation.updateOne(
+    { _id: conversationId, summaryUpTo: conversation.summaryUpTo || null },
+    {
+      $set: {
+        summary,
+        summaryUpTo: toSummarize[toSummarize.length - 1]._id,
+        summaryUpdatedAt: new Date()
+      }
+    }
+  );
+
+  logger.info('Resumen de conversación actualizado', {
+    conversationId,
+    summarizedMessages: toSummarize.length,
+    summaryTokens: estimateTokens(summary)
+  });
+
+  return result.modifiedCount === 1;
+};
+
+// Refrescos en curso en este proceso (uno por conversación a la vez)
+const refreshing = new Set();
+
+// ✅ REFRESCO EN SEGUNDO PLANO (NO RETRASA LA RESPUESTA AL USUARIO)
+const scheduleSummaryRefresh = (conversationId) => {
+  const key = conversationId.toString();
+  if (refreshing.has(key)) return;
+
+  refreshing.add(key);
+  setImmediate(() => {
+    refreshSummary(conversationId)
+      .catch(error => {
+        logger.error('Error actualizando el resumen de la conversación', {
+          conversationId: key,
+          error: error.message
+        });
+      })
+      .finally(() => refreshing.delete(key));
+  });
+};
+
+module.exports = {
+  estimateTokens,
+  countMessageTokens,
+  assembleMessages,
+  loadConversationContext,
+  refreshSummary,
+  scheduleSummaryRefresh
+};
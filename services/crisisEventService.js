@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const CrisisEvent = require('../models/CrisisEvent');
+const { sendMail } = require('./mailService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+// Solo se registran las detecciones que son crisis (ver assessCrisis); 'low'
+// (incluidas las frases negadas) no abre eventos para el equipo
+const EVENT_LEVELS = ['medium', 'high'];
+
+/**
+ * Alertas por correo (opcionales):
+ *   CRISIS_ALERT_EMAILS     destinatarios separados por coma
+ *   CRISIS_ALERT_MIN_LEVEL  medium o high: nivel mínimo que dispara la alerta (por defecto high)
+ *   APP_URL                 URL base para enlazar el evento en el correo
+ */
+const getAlertRecipients = () => {
+  return (process.env.CRISIS_ALERT_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+};
+
+const shouldAlert = (level) => {
+  const configured = process.env.CRISIS_ALERT_MIN_LEVEL;
+  const minLevel = EVENT_LEVELS.includes(configured) ? configured : 'high';
+  return EVENT_LEVELS.indexOf(level) >= EVENT_LEVELS.indexOf(minLevel);
+};
+
+// El correo no incluye el texto del usuario: solo lo necesario para revisar el evento
+const sendCrisisAlert = async (event) => {
+  const recipients = getAlertRecipients();
+  if (recipients.length === 0 || !shouldAlert(event.level)) {
+    return;
+  }
+
+  const link = process.env.APP_URL ? `${process.env.APP_URL}/crisis/events/${event._id}` : null;
+
+  const sent = await sendMail({
+    to: recipients.join(', '),
+    subject: `[MindSync] Evento de crisis (${event.level})`,
+    text: [
+      'Se detectó un posible evento de crisis que requiere seguimiento.',
+      '',
+      `Evento: ${event._id}`,
+      `Nivel: ${event.level}`,
+      `Usuario: ${event.user}`,
+      `Frases detectadas: ${event.matches.join(', ') || '-'}`,
+      `Fecha: ${event.createdAt.toISOString()}`,
+      ...(link ? ['', `Revisar: ${link}`] : [])
+    ].join('\n')
+  });
+
+  if (sent) {
+    await CrisisEvent.updateOne({ _id: event._id }, { $set: { alertSentAt: new Date() } });
+  }
+};
+
+// ✅ REGISTRAR UNA DETECCIÓN (la alerta se envía sin bloquear la respuesta al usuario)
+const recordCrisisEvent = async ({ userId, conversationId, messageId, crisis, channel }) => {
+  const event = await CrisisEvent.create({
+    user: userId,
+    conversation: conversationId,
+    message: messageId,
+    level: crisis.level,
+    matches: crisis.matches.map(match => match.phrase),
+    channel
+  });
+
+  logger.warn('Evento de crisis registrado', {
+    eventId: event._id,
+    userId,
+    level: event.level
+  });
+
+  sendCrisisAlert(event).catch(error => {
+    logger.error('Error enviando alerta de crisis', { eventId: event._id, error: error.message });
+  });
+
+  return event;
+};
+
+const findEventOrFail = async (eventId) => {
+  const event = mongoose.isValidObjectId(eventId) ? await CrisisEvent.findById(eventId) : null;
+  if (!event) {
+    throw createHttpError(404, 'Evento de crisis no encontrado');
+  }
+  return event;
+};
+
+const buildNotesUpdate = (notes) => {
+  return typeof notes === 'string' && notes.trim() ? { notes: notes.substring(0, 2000) } : {};
+};
+
+/**
+ * Aplica una transición solo si el evento sigue en el estado esperado. La
+ * comprobación y la escritura son una sola operación: si dos personas actúan
+ * a la vez sobre el mismo evento, la segunda recibe un 409.
+ */
+const transitionEvent = async (eventId, expectedStatus, update) => {
+  if (!mongoose.isValidObjectId(eventId)) {
+    throw createHttpError(404, 'Evento de crisis no encontrado');
+  }
+
+  return CrisisEvent.findOneAndUpdate(
+    { _id: eventId, status: expectedStatus },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+};
+
+// ✅ TRANSICIONES DEL CICLO DE VIDA
+const acknowledgeEvent = async (eventId, staffId, notes) => {
+  const event = await transitionEvent(eventId, 'open', {
+    status: 'acknowledged',
+    acknowledgedBy: staffId,
+    acknowledgedAt: new Date(),
+    ...buildNotesUpdate(notes)
+  });
+
+  if (event) return event;
+
+  // 404 si no existe; 409 si ya estaba en otro estado
+  const current = await findEventOrFail(eventId);
+  throw createHttpError(409, `El evento ya está en estado ${current.status}`);
+};
+
+const resolveEvent = async (eventId, staffId, notes) => {
+  const now = new Date();
+  const resolution = {
+    status: 'resolved',
+    resolvedBy: staffId,
+    resolvedAt: now,
+    ...buildNotesUpdate(notes)
+  };
+
+  // Resolver directamente un evento abierto también cuenta como reconocido
+  const event = await transitionEvent(eventId, 'open', { ...resolution, acknowledgedBy: staffId, acknowledgedAt: now }) ||
+    await transitionEvent(eventId, 'acknowledged', resolution);
+
+  if (event) return event;
+
+  await findEventOrFail(eventId);
+  throw createHttpError(409, 'El evento ya está resuelto');
+};
+
+module.exports = {
+  EVENT_LEVELS,
+  recordCrisisEvent,
+  findEventOrFail,
+  acknowledgeEvent,
+  resolveEvent
+};
@@ -0,0 +1,394 @@
+/**
+ * Motor único de detección de crisis. Lo usan todos los canales de chat
+ * (REST, SSE, sockets).
+ *
+ * El texto y las frases clave se normalizan igual (minúsculas, sin tildes,
+ * equivalencias ortográficas frecuentes como s/z/c, v/b, ll/y, h muda y letras
+ * repetidas), así que "suicidio", "suisidio" y "matarmé" coinciden.
+ */
+
+const LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Frases clave por nivel. Las frases funcionan también como raíz ("suicid" → "suicidarme").
+const CRISIS_PHRASES = {
+  high: [
+    'suicid', 'suicide', 'matarme', 'me voy a matar', 'me quiero matar', 'quitarme la vida',
+    'no quiero vivir', 'no quiero seguir viviendo', 'sin ganas de seguir viviendo',
+    'no tengo ganas de vivir', 'sin ganas de vivir',
+    'quiero morir', 'me quiero morir', 'acabar con todo', 'acabar con mi vida',
+    'terminar con todo', 'mejor sin mí', 'muy triste para vivir',
+    'kill myself', 'end my life', 'want to die', 'cannot take it anymore'
+  ],
+  medium: [
+    'lastimarme', 'autolesion', 'hacerme daño', 'cortarme', 'no puedo más',
+    'quiero desaparecer', 'no vale la pena', 'no sirvo para nada',
+    'no veo salida', 'desesperacion', 'hurt myself'
+  ],
+  low: [
+    'muy mal', 'horrible', 'muy triste', 'todo está mal', 'ayuda',
+    'no sé qué hacer', 'perdido', 'perdida', 'sin esperanza'
+  ]
+};
+
+// Una frase está negada solo si la negación la rige directamente: justo antes
+// de la frase o separada por unas pocas palabras puente ("no quiero matarme",
+// "nunca voy a suicidarme"). Un "no" que pertenece a otra expresión
+// ("ya no aguanto, quiero morir") no cuenta.
+const NEGATIONS = ['no', 'nunca', 'jamas', 'tampoco', 'ni', 'never', 'not', 'dont', 'wont'];
+const NEGATION_BRIDGES = [
+  'me', 'te', 'se', 'lo', 'a', 'en', 'quiero', 'quisiera', 'voy', 'pienso', 'pensaria', 'haria',
+  'want', 'wanna', 'to', 'going', 'would'
+];
+const MAX_BRIDGE_WORDS = 3;
+
+// Separadores de cláusula: puntuación y conectores adversativos
+const CLAUSE_SEPARATOR = /[.,;:!?¡¿\n]+|\b(?:pero|aunque|sino|but)\b/;
+
+// ✅ NORMALIZACIÓN ORTOGRÁFICA
+const normalizeText = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    // Las contracciones quedan en una palabra: "don't" → "dont"
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\s.,;:!?¡¿\n]/g, ' ')
+    .replace(/ll/g, 'y')
+    .replace(/c([ei])/g, 's$1')
+    .replace(/z/g, 's')
+    .replace(/qu([ei])/g, 'k$1')
+    .replace(/c/g, 'k')
+    .replace(/v/g, 'b')
+    .replace(/(^|[^k])h/g, '$1')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/[ \t]+/g, ' ');
+};
+
+// Frases normalizadas una sola vez al cargar el módulo
+const NORMALIZED_PHRASES = Object.entries(CRISIS_PHRASES).flatMap(([level, phrases]) =>
+  phrases.map(phrase => ({ phrase, level, normalized: normalizeText(phrase).trim() }))
+);
+
+const NORMALIZED_NEGATIONS = NEGATIONS.map(word => normalizeText(word));
+const NORMALIZED_BRIDGES = NEGATION_BRIDGES.map(word => normalizeText(word));
+
+// ¿La coincidencia va precedida de una negación que la rige? Se salta hacia
+// atrás solo sobre palabras puente; ante cualquier otra palabra no está negada.
+const isNegated = (clause, matchIndex) => {
+  const previousWords = clause.substring(0, matchIndex).trim().split(/\s+/).filter(Boolean);
+
+  for (let bridges = 0; previousWords.length > 0; bridges++) {
+    const word = previousWords.pop();
+    if (NORMALIZED_NEGATIONS.includes(word)) return true;
+    if (!NORMALIZED_BRIDGES.includes(word) || bridges >= MAX_BRIDGE_WORDS) return false;
+  }
+  return false;
+};
+
+const highestLevel = (levels) => {
+  return levels.reduce((max, level) => (LEVELS.indexOf(level) > LEVELS.indexOf(max) ? level : max), 'none');
+};
+
+/**
+ * Evalúa un mensaje y devuelve { level, matches, negatedMatches, isCrisis }.
+ * `matches` son las frases detectadas (en su forma original) con su nivel.
+ * Una frase negada ("no quiero matarme") no eleva el nivel por encima de 'low',
+ * pero se reporta en `negatedMatches`.
+ */
+const assessCrisis = (message = '') => {
+  const clauses = normalizeText(message).split(CLAUSE_SEPARATOR).filter(Boolean);
+  const matches = [];
+  const negatedMatches = [];
+
+  for (const { phrase, level, normalized } of NORMALIZED_PHRASES) {
+    let found = false;
+    let negated = false;
+
+    for (const clause of clauses) {
+      const padded = ` ${clause.trim()}`;
+      const index = padded.indexOf(` ${normalized}`);
+
+      if (index === -1) continue;
+
+      if (!isNegated(padded, index)) {
+        found = true;
+        break;
+      }
+      negated = true;
+    }
+
+    if (found) {
+      matches.push({ phrase, level });
+    } else if (negated) {
+      negatedMatches.push({ phrase, level });
+    }
+  }
+
+  const level = highestLevel([
+    ...matches.map(match => match.level),
+    ...(negatedMatches.length > 0 ? ['low'] : [])
+  ]);
+
+  return {
+    level,
+    matches,
+    negatedMatches,
+    isCrisis: level === 'high' || level === 'medium'
+  };
+};
+
+// Textos de las respuestas de crisis por idioma (preferences.language del usuario).
+// Un idioma desconocido usa el español.
+const CRISIS_TEXTS = {
+  es: {
+    genericResources: [
+      'Comunícate con el número de emergencias de tu país',
+      'Acude a la sala de urgencias más cercana'
+    ],
+    resourcesHeading: (title, countryName) => `${title} EN ${countryName.toUpperCase()}`,
+    safetyPlan: {
+      title: 'TU PLAN DE SEGURIDAD',
+      copingStrategies: 'Lo que te ayuda a ti',
+      contacts: 'Personas a las que puedes llamar ahora',
+      professionals: 'Profesionales que conoces',
+      environmentSafety: 'Para mantener tu entorno seguro'
+    },
+    high: ({ heading, resourceLines, safetyPlanText }) => `Me preocupa mucho lo que me estás compartiendo. Tu vida tiene valor y existen personas que pueden ayudarte de inmediato. 
+
+Es importante que hables con un profesional de la salud mental AHORA. Te comparto recursos de crisis disponibles 24/7:
+
+**${heading('RECURSOS INMEDIATOS')}:**
+${resourceLines}
+
+${safetyPlanText}**ACCIÓN INMEDIATA:**
+1. Llama a un familiar o amigo de confianza
+2. Ve a la emergencias de un hospital
+3. Contacta a un profesional de salud mental
+
+Recuerda: Buscar ayuda es un acto de valentía, no de debilidad.`,
+    medium: ({ heading, resourceLines, safetyPlanText }) => `Entiendo que estás pasando por un momento muy difícil. Es normal sentirse así a veces, pero es importante que no te quedes solo con estos pensamientos.
+
+Te recomiendo:
+• Hablar con alguien de confianza (familiar, amigo)
+• Contactar un profesional de salud mental
+• Practicar técnicas de respiración:inhala 4 seg, mantén 4 seg, exhala 4 seg
+
+${safetyPlanText}**${heading('RECURSOS DE APOYO')}:**
+${resourceLines}
+
+¿Estás dispuesto/a a buscar apoyo profesional? Es un paso muy importante hacia sentirte mejor.`,
+    low: () => `Gracias por confiar en mí y compartir lo que sientes. Es muy valiente abrirse sobre nuestras emociones.
+
+Es normal tener momentos difíciles, y hay formas de navegar por ellos. 
+
+**Algunas técnicas que pueden ayudarte:**
+• Respiración consciente:inhala profundamente por 4 segundos
+• Ejercicio físico: una caminata de 10 minutos puede cambiar tu estado de ánimo
+• Hablar con alguien de confianza
+• Escribir en un diario lo que sientes
+• Actividades que disfrutes (música, lectura, etc.)
+
+**Recuerda:**
+- Estos sentimientos son temporales
+- Buscar ayuda es una fortaleza
+- Mereces sentirte bien
+
+¿Te gustaría que exploremos alguna de estas opciones juntas?`
+  },
+
+  en: {
+    genericResources: [
+      'Call your country\'s emergency number',
+      'Go to the nearest emergency room'
+    ],
+    resourcesHeading: (title, countryName) => `${title} IN ${countryName.toUpperCase()}`,
+    safetyPlan: {
+      title: 'YOUR SAFETY PLAN',
+      copingStrategies: 'What helps you',
+      contacts: 'People you can call right now',
+      professionals: 'Professionals you know',
+      environmentSafety: 'Keeping your surroundings safe'
+    },
+    high: ({ heading, resourceLines, safetyPlanText }) => `I'm very worried about what you're sharing with me. Your life has value, and there are people who can help you right away.
+
+It's important that you talk to a mental health professional NOW. Here are crisis resources available 24/7:
+
+**${heading('IMMEDIATE RESOURCES')}:**
+${resourceLines}
+
+${safetyPlanText}**TAKE ACTION NOW:**
+1. Call a family member or a friend you trust
+2. Go to a hospital emergency room
+3. Contact a mental health professional
+
+Remember: asking for help is an act of courage, not weakness.`,
+    medium: ({ heading, resourceLines, safetyPlanText }) => `I understand you're going through a really hard time. It's normal to feel this way sometimes, but it's important that you don't stay alone with these thoughts.
+
+I recommend:
+• Talking to someone you trust (family, a friend)
+• Contacting a mental health professional
+• Practicing a breathing technique: inhale for 4 sec, hold for 4 sec, exhale for 4 sec
+
+${safetyPlanText}**${heading('SUPPORT RESOURCES')}:**
+${resourceLines}
+
+Would you be willing to reach out for professional support? It's a very important step toward feeling better.`,
+    low: () => `Thank you for trusting me and sharing how you feel. Opening up about our emotions takes a lot of courage.
+
+It's normal to have hard moments, and there are ways to get through them.
+
+**Some techniques that may help:**
+• Mindful breathing: breathe in deeply for 4 seconds
+• Physical activity: a 10-minute walk can change your mood
+• Talking to someone you trust
+• Writing down what you feel in a journal
+• Activities you enjoy (music, reading, etc.)
+
+**Remember:**
+- These feelings are temporary
+- Asking for help is a strength
+- You deserve to feel well
+
+Would you like us to explore any of these options together?`
+  },
+
+  pt: {
+    genericResources: [
+      'Ligue para o número de emergência do seu país',
+      'Vá ao pronto-socorro mais próximo'
+    ],
+    resourcesHeading: (title, countryName) => `${title} (${countryName.toUpperCase()})`,
+    safetyPlan: {
+      title: 'SEU PLANO DE SEGURANÇA',
+      copingStrategies: 'O que te ajuda',
+      contacts: 'Pessoas para quem você pode ligar agora',
+      professionals: 'Profissionais que você conhece',
+      environmentSafety: 'Para manter seu ambiente seguro'
+    },
+    high: ({ heading, resourceLines, safetyPlanText }) => `Me preocupa muito o que você está compartilhando. Sua vida tem valor e existem pessoas que podem te ajudar agora mesmo.
+
+É importante que você fale com um profissional de saúde mental AGORA. Aqui estão recursos de crise disponíveis 24 horas por dia:
+
+**${heading('RECURSOS IMEDIATOS')}:**
+${resourceLines}
+
+${safetyPlanText}**AÇÃO IMEDIATA:**
+1. Ligue para um familiar ou amigo de confiança
+2. Vá ao pronto-socorro de um hospital
+3. Entre em contato com um profissional de saúde mental
+
+Lembre-se: pedir ajuda é um ato de coragem, não de fraqueza.`,
+    medium: ({ heading, resourceLines, safetyPlanText }) => `Entendo que você está passando por um momento muito difícil. É normal se sentir assim às vezes, mas é importante não ficar sozinho com esses pensamentos.
+
+Eu recomendo:
+• Conversar com alguém de confiança (familiar, amigo)
+• Procurar um profissional de saúde mental
+• Praticar técnicas de respiração: inspire por 4 seg, segure por 4 seg, expire por 4 seg
+
+${safetyPlanText}**${heading('RECURSOS DE APOIO')}:**
+${resourceLines}
+
+Você está disposto/a a buscar apoio profissional? É um passo muito importante para se sentir melhor.`,
+    low: () => `Obrigado por confiar em mim e compartilhar o que você sente. É muito corajoso se abrir sobre as nossas emoções.
+
+É normal ter momentos difíceis, e existem formas de atravessá-los.
+
+**Algumas técnicas que podem te ajudar:**
+• Respiração consciente: inspire profundamente por 4 segundos
+• Exercício físico: uma caminhada de 10 minutos pode mudar seu humor
+• Conversar com alguém de confiança
+• Escrever num diário o que você sente
+• Atividades de que você gosta (música, leitura etc.)
+
+**Lembre-se:**
+- Esses sentimentos são temporários
+- Buscar ajuda é uma força
+- Você merece se sentir bem
+
+Quer que a gente explore juntos alguma dessas opções?`
+  }
+};
+
+const getCrisisTexts = (language) => CRISIS_TEXTS[language] || CRISIS_TEXTS.es;
+
+// Lista de líneas de ayuda en texto, a partir del directorio de recursos
+const formatResourceLines = (resources, texts) => {
+  if (!resources || resources.lines.length === 0) {
+    return texts.genericResources.map(line => `• ${line}`).join('\n');
+  }
+
+  return resources.lines
+    .map(line => `• ${line.name}: ${[line.phone, line.url].filter(Boolean).join(' - ')}`)
+    .join('\n');
+};
+
+const formatContact = (contact) => {
+  const details = [contact.relationship || contact.organization, contact.phone].filter(Boolean);
+  return details.length > 0 ? `• ${contact.name} (${details.join(' - ')})` : `• ${contact.name}`;
+};
+
+// Pasos y contactos del plan de seguridad del usuario que se muestran en una crisis
+const summarizeSafetyPlan = (safetyPlan) => {
+  if (!safetyPlan) return null;
+
+  const summary = {
+    copingStrategies: safetyPlan.copingStrategies || [],
+    environmentSafety: safetyPlan.environmentSafety || [],
+    contacts: safetyPlan.supportContacts || [],
+    professionals: safetyPlan.professionals || []
+  };
+
+  const isEmpty = Object.values(summary).every(items => items.length === 0);
+  return isEmpty ? null : summary;
+};
+
+const formatSafetyPlan = (summary, titles) => {
+  if (!summary) return '';
+
+  const sections = [
+    [titles.copingStrategies, summary.copingStrategies.map(step => `• ${step}`)],
+    [titles.contacts, summary.contacts.map(formatContact)],
+    [titles.professionals, summary.professionals.map(formatContact)],
+    [titles.environmentSafety, summary.environmentSafety.map(step => `• ${step}`)]
+  ].filter(([, lines]) => lines.length > 0);
+
+  const body = sections.map(([title, lines]) => `${title}:\n${lines.join('\n')}`).join('\n\n');
+
+  return `**${titles.title}:**\n${body}\n\n`;
+};
+
+const CRISIS_RESPONSE_TYPES = {
+  high: { type: 'crisis_intervention', urgency: 'immediate' },
+  medium: { type: 'crisis_support', urgency: 'soon' },
+  low: { type: 'supportive', urgency: 'optional' }
+};
+
+// Función para generar respuestas específicas para crisis.
+// userContext.resources es la entrada del directorio de recursos del usuario,
+// userContext.safetyPlan su plan de seguridad (se muestra en riesgo medio y alto)
+// y userContext.language el idioma de la respuesta (es, en o pt).
+const generateCrisisResponse = (crisisLevel, userContext = {}) => {
+  const { resources } = userContext;
+  const level = CRISIS_RESPONSE_TYPES[crisisLevel] ? crisisLevel : 'low';
+  const texts = getCrisisTexts(userContext.language);
+  const safetyPlan = level === 'low' ? undefined : summarizeSafetyPlan(userContext.safetyPlan);
+
+  const message = texts[level]({
+    heading: (title) => (resources && resources.countryName ? texts.resourcesHeading(title, resources.countryName) : title),
+    resourceLines: formatResourceLines(resources, texts),
+    safetyPlanText: formatSafetyPlan(safetyPlan, texts.safetyPlan)
+  });
+
+  return {
+    message,
+    ...CRISIS_RESPONSE_TYPES[level],
+    ...(level === 'low' ? {} : { safetyPlan })
+  };
+};
+
+module.exports = {
+  LEVELS,
+  normalizeText,
+  assessCrisis,
+  generateCrisisResponse
+};
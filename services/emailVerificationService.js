@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getAccessSecret } = require('./tokenService');
+const { sendMail, buildAppLink } = require('./mailService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+const VERIFICATION_TOKEN_EXPIRES_IN = '24h';
+
+const getVerificationSecret = () => process.env.JWT_EMAIL_SECRET || getAccessSecret();
+
+// El token incluye el email: si el usuario lo cambia, los enlaces anteriores dejan de valer
+const signVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id.toString(), email: user.email, type: 'email-verification' },
+    getVerificationSecret(),
+    { expiresIn: VERIFICATION_TOKEN_EXPIRES_IN }
+  );
+};
+
+// ✅ ENVIAR EMAIL DE VERIFICACIÓN
+const sendVerificationEmail = async (user) => {
+  const link = buildAppLink('/verify-email', { token: signVerificationToken(user) });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirma tu email en MindSync',
+    text: [
+      `Hola ${user.username},`,
+      '',
+      'Gracias por registrarte en MindSync. Confirma tu email con este enlace:',
+      link,
+      '',
+      'El enlace vence en 24 horas.'
+    ].join('\n')
+  });
+
+  logger.info('Email de verificación enviado', { userId: user._id });
+};
+
+// ✅ VERIFICAR TOKEN Y MARCAR EL EMAIL COMO VERIFICADO
+const verifyEmail = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, getVerificationSecret());
+  } catch (error) {
+    throw createHttpError(400, 'El enlace de verificación es inválido o expiró.');
+  }
+
+  if (decoded.type !== 'email-verification') {
+    throw createHttpError(400, 'El enlace de verificación es inválido o expiró.');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || user.email !== decoded.email) {
+    throw createHttpError(400, 'El enlace de verificación es inválido o expiró.');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.verifiedAt = new Date();
+    await user.save();
+    logger.info('Email verificado', { userId: user._id });
+  }
+
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail
+};
@@ -0,0 +1,114 @@
+const createOpenAIProvider = require('./openaiProvider');
+const createOpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const createMockProvider = require('./mockProvider');
+const { LLMError, createResilientProvider } = require('./resilientProvider');
+const logger = require('../../logger');
+
+/**
+ * Capa de proveedores LLM. Todos implementan la misma interfaz:
+ *
+ *   complete(params)          -> { content, model, usage }
+ *   stream(params, onToken)   -> { content, model }
+ *
+ * donde params = { messages, model, maxTokens, temperature, topP,
+ * presencePenalty, frequencyPenalty, task, signal }. `task` identifica llamadas
+ * internas ('summary', 'memory-extraction'); los proveedores reales lo ignoran y el
+ * simulado lo usa para responder de forma determinista. `signal` (AbortSignal)
+ * cancela la petición.
+ *
+ * getProvider() devuelve el proveedor envuelto por resilientProvider
+ * (timeouts, reintentos y circuit breaker); sus errores son LLMError.
+ * getBackgroundProvider() es el mismo proveedor con un circuito propio para
+ * las tareas en segundo plano (resúmenes, extracción de recuerdos): sus
+ * fallos no ponen el chat en modo degradado ni ocupan su llamada de prueba.
+ *
+ * Variables de entorno:
+ *   LLM_PROVIDER  openai (por defecto) | openai-compatible | mock
+ *   LLM_MODEL     modelo por defecto (gpt-3.5-turbo)
+ *   LLM_BASE_URL  URL base del servidor compatible con OpenAI
+ *   LLM_API_KEY   API key del servidor compatible (opcional)
+ *   LLM_TIMEOUT_MS            timeout por intento (20000)
+ *   LLM_MAX_RETRIES           reintentos ante errores transitorios (2)
+ *   LLM_RETRY_BASE_MS         base del backoff exponencial (500)
+ *   LLM_BREAKER_THRESHOLD     fallos seguidos que abren el circuito (5)
+ *   LLM_BREAKER_COOLDOWN_MS   tiempo con el circuito abierto (60000)
+ */
+const PROVIDERS = {
+  openai: () => createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY }),
+  'openai-compatible': () => createOpenAICompatibleProvider({
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY
+  }),
+  mock: () => createMockProvider()
+};
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-3.5-turbo';
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const RESILIENCE_OPTIONS = {
+  timeoutMs: readInt('LLM_TIMEOUT_MS', 20000),
+  maxRetries: readInt('LLM_MAX_RETRIES', 2),
+  retryBaseMs: readInt('LLM_RETRY_BASE_MS', 500),
+  failureThreshold: readInt('LLM_BREAKER_THRESHOLD', 5),
+  cooldownMs: readInt('LLM_BREAKER_COOLDOWN_MS', 60000)
+};
+
+let provider = null;
+let backgroundProvider = null;
+
+const resolveProviderName = () => {
+  if (process.env.LLM_PROVIDER) {
+    return process.env.LLM_PROVIDER;
+  }
+  return process.env.NODE_ENV === 'test' ? 'mock' : 'openai';
+};
+
+// Proveedor configurado por entorno (se crea una sola vez, con un circuito
+// para el chat y otro para las tareas en segundo plano)
+const createProviders = () => {
+  const name = resolveProviderName();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Proveedor LLM desconocido: ${name}`);
+  }
+
+  const baseProvider = factory();
+  provider = createResilientProvider(baseProvider, RESILIENCE_OPTIONS);
+  backgroundProvider = createResilientProvider(baseProvider, RESILIENCE_OPTIONS);
+  logger.info(`Proveedor LLM: ${provider.name}`, RESILIENCE_OPTIONS);
+};
+
+const getProvider = () => {
+  if (!provider) createProviders();
+  return provider;
+};
+
+const getBackgroundProvider = () => {
+  if (!backgroundProvider) createProviders();
+  return backgroundProvider;
+};
+
+// Reemplazar el proveedor activo del chat y de las tareas en segundo plano
+// (tests y demos). Se usa tal cual: para probar timeouts o el circuito,
+// envolverlo con createResilientProvider
+const setProvider = (customProvider) => {
+  provider = customProvider;
+  backgroundProvider = customProvider;
+};
+
+module.exports = {
+  DEFAULT_MODEL,
+  LLMError,
+  getProvider,
+  getBackgroundProvider,
+  setProvider,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createResilientProvider
+};
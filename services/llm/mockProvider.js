@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// ✅ PROVEEDOR SIMULADO Y DETERMINISTA (tests y demos sin conexión)
+// La misma conversación produce siempre la misma respuesta.
+
+const MOCK_RESPONSES = [
+  'Gracias por contarme esto. Lo que sientes es válido y tiene sentido en tu situación. ¿Qué es lo que más te pesa en este momento?',
+  'Te escucho. A veces ayuda detenerse un momento: inhala durante 4 segundos, mantén el aire 4 segundos y exhala durante 4 segundos. ¿Cómo te sientes después de intentarlo?',
+  'Parece que estás llevando mucho encima. Hablarlo ya es un paso importante. ¿Hay alguien de confianza con quien puedas compartir esto también?',
+  'Entiendo. Vamos paso a paso: ¿qué pequeña acción podrías hacer hoy para cuidarte un poco más?'
+];
+
+const lastUserMessage = (messages = []) => {
+  const userMessages = messages.filter(msg => msg.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+};
+
+const pickResponse = (messages) => {
+  const digest = crypto.createHash('sha256').update(lastUserMessage(messages)).digest();
+  return MOCK_RESPONSES[digest.readUInt32BE(0) % MOCK_RESPONSES.length];
+};
+
+// Resumen determinista: los mensajes del usuario incluidos en la transcripción
+const summarize = (messages) => {
+  const transcript = lastUserMessage(messages);
+  const previous = (transcript.match(/^Resumen anterior: (.*)$/m) || [])[1];
+  const topics = transcript
+    .split('\n')
+    .filter(line => line.startsWith('Usuario: '))
+    .map(line => line.substring('Usuario: '.length).trim());
+
+  const parts = [];
+  if (previous && previous !== '(ninguno)') parts.push(previous);
+  if (topics.length > 0) parts.push(`La persona habló de: ${topics.join('; ')}.`);
+
+  return parts.join(' ').substring(0, 1000);
+};
+
+// Extracción de recuerdos determinista: frases del mensaje con palabras clave
+const MEMORY_PATTERNS = [
+  { category: 'work', pattern: /\b(trabajo|empleo|jefe|oficina|universidad|estudio)/i },
+  { category: 'family', pattern: /\b(mam[aá]|pap[aá]|madre|padre|herman[oa]s?|hij[oa]s?|familia)/i },
+  { category: 'relationships', pattern: /\b(pareja|novi[oa]|espos[oa]|amig[oa]s?)/i },
+  { category: 'health', pattern: /\b(diagnostic\w*|diagnóstic\w*|medicamento\w*|psiquiatra|psic[oó]log\w*)/i },
+  { category: 'coping', pattern: /\bme (ayud|sirv|funcion)\w*/i }
+];
+
+const extractFacts = (messages) => {
+  const facts = lastUserMessage(messages)
+    .split(/(?<=[.!?])\s+|\n/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map(sentence => {
+      const match = MEMORY_PATTERNS.find(({ pattern }) => pattern.test(sentence));
+      return match ? { content: sentence, category: match.category } : null;
+    })
+    .filter(Boolean);
+
+  return JSON.stringify({ facts });
+};
+
+const createMockProvider = ({ model = 'mock-model' } = {}) => ({
+  name: 'mock',
+
+  async complete(params) {
+    if (params.task === 'summary') {
+      return { content: summarize(params.messages), model, usage: null };
+    }
+
+    if (params.task === 'memory-extraction') {
+      return { content: extractFacts(params.messages), model, usage: null };
+    }
+
+    return {
+      content: pickResponse(params.messages),
+      model,
+      usage: null
+    };
+  },
+
+  async stream(params, onToken) {
+    const content = pickResponse(params.messages);
+
+    // Fragmentar por palabras conservando los espacios
+    content.split(/(?<=\s)/).forEach(token => onToken(token));
+
+    return { content, model };
+  }
+});
+
+module.exports = createMockProvider;
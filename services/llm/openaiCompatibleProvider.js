@@ -0,0 +1,96 @@
+// ✅ PROVEEDOR HTTP COMPATIBLE CON OPENAI (modelos autoalojados: vLLM, Ollama, LM Studio...)
+// Habla directamente con POST {baseUrl}/chat/completions usando fetch.
+
+const toRequestBody = (params, stream) => ({
+  model: params.model,
+  messages: params.messages,
+  max_tokens: params.maxTokens,
+  temperature: params.temperature,
+  top_p: params.topP,
+  presence_penalty: params.presencePenalty,
+  frequency_penalty: params.frequencyPenalty,
+  stream
+});
+
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey } = {}) => {
+  if (!baseUrl) {
+    throw new Error('LLM_BASE_URL es requerido para el proveedor openai-compatible');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const post = async (body, signal) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`El proveedor LLM respondió ${response.status}: ${detail.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'openai-compatible',
+
+    async complete(params) {
+      const response = await post(toRequestBody(params, false), params.signal);
+      const data = await response.json();
+
+      return {
+        content: (data.choices?.[0]?.message?.content || '').trim(),
+        model: data.model || params.model,
+        usage: data.usage
+      };
+    },
+
+    async stream(params, onToken) {
+      const response = await post(toRequestBody(params, true), params.signal);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let content = '';
+      let model = params.model;
+
+      // Respuesta SSE: líneas "data: {...}" terminadas en "data: [DONE]"
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const data = trimmed.substring(5).trim();
+          if (data === '[DONE]') {
+            return { content: content.trim(), model };
+          }
+
+          const parsed = JSON.parse(data);
+          model = parsed.model || model;
+          const token = parsed.choices?.[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+        }
+      }
+
+      return { content: content.trim(), model };
+    }
+  };
+};
+
+module.exports = createOpenAICompatibleProvider;
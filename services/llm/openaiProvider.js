@@ -0,0 +1,63 @@
+const OpenAI = require('openai');
+
+// Traduce los parámetros comunes del proveedor al formato de la API de OpenAI
+const toOpenAIParams = (params) => ({
+  model: params.model,
+  messages: params.messages,
+  max_tokens: params.maxTokens,
+  temperature: params.temperature,
+  top_p: params.topP,
+  presence_penalty: params.presencePenalty,
+  frequency_penalty: params.frequencyPenalty
+});
+
+// ✅ PROVEEDOR OPENAI (SDK OFICIAL)
+const createOpenAIProvider = ({ apiKey, baseURL } = {}) => {
+  // El cliente se crea en el primer uso para no fallar al arrancar sin API key.
+  // Los reintentos y timeouts los gestiona resilientProvider, no el SDK.
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    async complete(params) {
+      const completion = await getClient().chat.completions.create(toOpenAIParams(params), { signal: params.signal });
+
+      return {
+        content: (completion.choices[0].message.content || '').trim(),
+        model: completion.model,
+        usage: completion.usage
+      };
+    },
+
+    async stream(params, onToken) {
+      const stream = await getClient().chat.completions.create({
+        ...toOpenAIParams(params),
+        stream: true
+      }, { signal: params.signal });
+
+      let content = '';
+      let model = params.model;
+
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+
+      return { content: content.trim(), model };
+    }
+  };
+};
+
+module.exports = createOpenAIProvider;
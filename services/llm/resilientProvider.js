@@ -0,0 +1,221 @@
+const logger = require('../../logger');
+
+// Error de la capa resiliente con un código legible por quien llama:
+//   LLM_TIMEOUT        el proveedor no respondió a tiempo (tras los reintentos)
+//   LLM_CIRCUIT_OPEN   el circuito está abierto: no se llamó al proveedor
+//   LLM_ABORTED        quien llamó canceló la petición (params.signal)
+//   LLM_PROVIDER_ERROR cualquier otro fallo del proveedor
+class LLMError extends Error {
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.providerStatus = cause && cause.status;
+    this.cause = cause;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Transitorios: timeouts, 408, 429, 5xx y fallos de red (errores sin status
+ * HTTP). Un JSON mal formado o un 4xx no mejoran reintentando.
+ */
+const isRetryable = (error) => {
+  if (error.code === 'LLM_TIMEOUT') return true;
+  if (error.code === 'LLM_ABORTED') return false;
+  if (error instanceof SyntaxError) return false;
+
+  const status = error.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+const toLLMError = (error) => {
+  if (error instanceof LLMError) return error;
+  return new LLMError('LLM_PROVIDER_ERROR', error.message, error);
+};
+
+/**
+ * Envuelve un proveedor con la misma interfaz (complete / stream) y añade:
+ *
+ *   - timeout por intento con AbortController (`params.signal`). En streaming
+ *     cuenta el tiempo sin recibir fragmentos, no la duración total.
+ *   - reintentos acotados para errores transitorios, con backoff exponencial
+ *     y jitter completo. Un stream solo se reintenta si no emitió nada aún.
+ *   - circuit breaker: tras `failureThreshold` llamadas fallidas seguidas no
+ *     se llama al proveedor durante `cooldownMs` (fallan al instante con
+ *     LLM_CIRCUIT_OPEN); después pasa una llamada de prueba y, si responde,
+ *     el circuito se cierra.
+ *
+ * Solo los fallos transitorios cuentan para el circuito. Si quien llama pasa
+ * `params.signal` y lo aborta (p. ej. el cliente se desconectó), la llamada
+ * se cancela sin reintentos con LLM_ABORTED.
+ */
+const createResilientProvider = (provider, {
+  timeoutMs = 20000,
+  maxRetries = 2,
+  retryBaseMs = 500,
+  retryMaxMs = 5000,
+  failureThreshold = 5,
+  cooldownMs = 60000
+} = {}) => {
+  const circuit = {
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false
+  };
+
+  const acquire = () => {
+    if (circuit.state === 'open') {
+      if (Date.now() - circuit.openedAt < cooldownMs) {
+        throw new LLMError('LLM_CIRCUIT_OPEN', 'Proveedor LLM no disponible temporalmente');
+      }
+      circuit.state = 'half-open';
+    }
+
+    if (circuit.state === 'half-open') {
+      if (circuit.trialInFlight) {
+        throw new LLMError('LLM_CIRCUIT_OPEN', 'Proveedor LLM no disponible temporalmente');
+      }
+      circuit.trialInFlight = true;
+    }
+  };
+
+  const recordSuccess = () => {
+    if (circuit.state !== 'closed') {
+      logger.info('Circuito del proveedor LLM cerrado', { provider: provider.name });
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  };
+
+  const recordFailure = (error) => {
+    circuit.trialInFlight = false;
+    // El proveedor respondió (p. ej. un 400): no dice nada de su disponibilidad
+    if (!isRetryable(error)) return;
+
+    circuit.failures += 1;
+    if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      logger.warn('Circuito del proveedor LLM abierto', {
+        provider: provider.name,
+        failures: circuit.failures,
+        cooldownMs
+      });
+    }
+  };
+
+  // Un intento con timeout; `touch` reinicia el temporizador (streaming).
+  // `callerSignal` es la cancelación de quien llama.
+  const attempt = (run, callerSignal) => new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    let timer = null;
+    let settled = false;
+
+    const onCallerAbort = () => {
+      controller.abort();
+      finish(reject)(new LLMError('LLM_ABORTED', 'Llamada al proveedor LLM cancelada'));
+    };
+
+    const finish = (callback) => (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+      callback(value);
+    };
+
+    const onTimeout = finish(reject);
+    const touch = () => {
+      if (settled) return false;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        controller.abort();
+        onTimeout(new LLMError('LLM_TIMEOUT', `El proveedor LLM no respondió en ${timeoutMs} ms`));
+      }, timeoutMs);
+      return true;
+    };
+
+    if (callerSignal) {
+      if (callerSignal.aborted) return onCallerAbort();
+      callerSignal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    touch();
+    run(controller.signal, touch).then(finish(resolve), finish(reject));
+  });
+
+  const backoff = (retry) => {
+    const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** retry);
+    return Math.floor(Math.random() * ceiling);
+  };
+
+  const execute = async (operation, callerSignal, run, canRetry = () => true) => {
+    acquire();
+
+    for (let retry = 0; ; retry++) {
+      try {
+        const result = await attempt(run, callerSignal);
+        recordSuccess();
+        return result;
+      } catch (error) {
+        if (retry < maxRetries && isRetryable(error) && canRetry()) {
+          const delay = backoff(retry);
+          logger.warn('Reintentando llamada al proveedor LLM', {
+            provider: provider.name,
+            operation,
+            retry: retry + 1,
+            delay,
+            status: error.status,
+            error: error.message
+          });
+          await sleep(delay);
+          if (!callerSignal || !callerSignal.aborted) continue;
+          error = new LLMError('LLM_ABORTED', 'Llamada al proveedor LLM cancelada');
+        }
+
+        recordFailure(error);
+        throw toLLMError(error);
+      }
+    }
+  };
+
+  return {
+    name: provider.name,
+
+    complete(params) {
+      return execute('complete', params.signal, (signal) => provider.complete({ ...params, signal }));
+    },
+
+    stream(params, onToken) {
+      let emitted = false;
+
+      return execute(
+        'stream',
+        params.signal,
+        (signal, touch) => provider.stream({ ...params, signal }, (token) => {
+          // Un intento que ya expiró no debe seguir emitiendo fragmentos
+          if (!touch()) return;
+          emitted = true;
+          onToken(token);
+        }),
+        () => !emitted
+      );
+    },
+
+    getCircuitState() {
+      return { state: circuit.state, failures: circuit.failures, openedAt: circuit.openedAt };
+    }
+  };
+};
+
+module.exports = {
+  LLMError,
+  isRetryable,
+  createResilientProvider
+};
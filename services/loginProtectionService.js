@@ -0,0 +1,125 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendMail } = require('./mailService');
+const logger = require('../logger');
+
+/**
+ * Política de intentos fallidos por cuenta:
+ *   - Antes de LOGIN_MAX_ATTEMPTS fallos: espera exponencial corta (1s, 2s, 4s...).
+ *   - A partir de LOGIN_MAX_ATTEMPTS: bloqueo temporal de LOGIN_LOCK_MINUTES,
+ *     que se duplica con cada fallo adicional (máximo 24 horas).
+ * Un inicio de sesión correcto o un restablecimiento de contraseña lo reinician.
+ */
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const getLockMs = () => (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+const getLockDelayMs = (attempts) => {
+  const maxAttempts = getMaxAttempts();
+
+  if (attempts < maxAttempts) {
+    return 1000 * Math.pow(2, attempts - 1);
+  }
+
+  return Math.min(getLockMs() * Math.pow(2, attempts - maxAttempts), MAX_LOCK_MS);
+};
+
+// Segundos que faltan para poder intentar de nuevo
+const getRetryAfterSeconds = (user) => {
+  return Math.max(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000), 1);
+};
+
+// ✅ REGISTRAR UN INTENTO FALLIDO
+// El contador se incrementa en la base de datos: varios intentos en paralelo
+// cuentan todos, aunque partan del mismo documento leído antes.
+const registerFailedLogin = async (user, ip) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  ).lean();
+
+  const attempts = updated ? updated.failedLoginAttempts : (user.failedLoginAttempts || 0) + 1;
+  const lockUntil = new Date(Date.now() + getLockDelayMs(attempts));
+
+  // $max: un intento concurrente con menos fallos no acorta un bloqueo más largo
+  await User.updateOne({ _id: user._id }, { $max: { lockUntil } });
+
+  user.failedLoginAttempts = attempts;
+  user.lockUntil = lockUntil;
+
+  const isLockedOut = attempts >= getMaxAttempts();
+  if (isLockedOut) {
+    logger.warn('Cuenta bloqueada temporalmente por intentos fallidos', {
+      userId: user._id,
+      attempts,
+      lockUntil,
+      ip
+    });
+  }
+
+  return { attempts, lockUntil, isLockedOut };
+};
+
+// ✅ REINICIAR EL CONTADOR (LOGIN CORRECTO, RESET O DESBLOQUEO MANUAL)
+const clearFailedLogins = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockUntil: 1, lastFailedLoginAt: 1 }
+    }
+  );
+};
+
+/**
+ * Avisa por email cuando se inicia sesión desde un dispositivo que el usuario
+ * no había usado antes (mismo user agent y nombre de dispositivo). No avisa en
+ * el primer inicio de sesión de la cuenta. Se debe llamar antes de crear la sesión.
+ */
+const isNewDevice = async (user, device) => {
+  const [hasSessions, knownDevice] = await Promise.all([
+    Session.exists({ user: user._id }),
+    Session.exists({
+      user: user._id,
+      userAgent: device.userAgent || null,
+      deviceName: device.deviceName || null
+    })
+  ]);
+
+  return Boolean(hasSessions) && !knownDevice;
+};
+
+// Opcional: el usuario lo desactiva con preferences.notificationSettings.securityAlerts
+const sendNewDeviceAlert = async (user, device) => {
+  if (!user.wantsSecurityAlerts()) {
+    return false;
+  }
+
+  return sendMail({
+    to: user.email,
+    subject: 'Nuevo inicio de sesión en tu cuenta de MindSync',
+    text: [
+      `Hola ${user.name || user.username},`,
+      '',
+      'Se inició sesión en tu cuenta desde un dispositivo nuevo:',
+      `• Dispositivo: ${device.deviceName || 'desconocido'}`,
+      `• Navegador/app: ${device.userAgent || 'desconocido'}`,
+      `• IP: ${device.ip || 'desconocida'}`,
+      `• Fecha: ${new Date().toISOString()}`,
+      '',
+      'Si no fuiste tú, cambia tu contraseña y cierra las demás sesiones desde la app.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  getRetryAfterSeconds,
+  registerFailedLogin,
+  clearFailedLogins,
+  isNewDevice,
+  sendNewDeviceAlert
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../logger');
+
+/**
+ * Envío de correos con nodemailer. El transporte se elige con MAIL_TRANSPORT:
+ *   smtp  (por defecto) SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS.
+ *         Sin SMTP_HOST el envío queda desactivado y solo se registra.
+ *   json  no envía nada; el mensaje se serializa (útil en tests)
+ *   file  guarda cada mensaje como .eml en MAIL_FILE_DIR (por defecto ./mail-outbox)
+ * MAIL_FROM define el remitente.
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'MindSync <no-reply@mindsync.app>';
+
+let transporter;
+
+const createTransporter = () => {
+  switch (process.env.MAIL_TRANSPORT || 'smtp') {
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    case 'smtp':
+      return process.env.SMTP_HOST
+        ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT, 10) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        })
+        : null;
+
+    default:
+      throw new Error(`MAIL_TRANSPORT desconocido: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+const getTransporter = () => {
+  if (transporter === undefined) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+// Reemplazar el transporte activo (tests); null desactiva el envío
+const setTransport = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+// Con MAIL_TRANSPORT=file el mensaje generado se guarda en disco
+const writeToOutbox = (info) => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+  fs.writeFileSync(file, info.message);
+  return file;
+};
+
+// Enlace a la app cliente para incluir en los correos (APP_URL)
+const buildAppLink = (pathname, params = {}) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${baseUrl}${pathname}${query ? `?${query}` : ''}`;
+};
+
+// Enviar un correo; devuelve false si el envío está desactivado
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransporter();
+
+  if (!transport) {
+    logger.warn('Envío de correo desactivado (SMTP_HOST no configurado)', { to, subject });
+    return false;
+  }
+
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+  if (process.env.MAIL_TRANSPORT === 'file' && Buffer.isBuffer(info.message)) {
+    logger.info('Correo guardado en disco', { to, subject, file: writeToOutbox(info) });
+  } else {
+    logger.info('Correo enviado', { to, subject });
+  }
+
+  return true;
+};
+
+module.exports = {
+  sendMail,
+  buildAppLink,
+  setTransport
+};
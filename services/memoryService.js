@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const llm = require('./llm');
+const UserMemory = require('../models/UserMemory');
+const { normalizeText } = require('./crisisService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+/**
+ * Memoria a largo plazo: después de cada intercambio normal se extraen con el
+ * proveedor LLM los datos duraderos que la persona compartió (trabajo,
+ * familia, diagnósticos que contó, estrategias que le funcionaron...). Antes
+ * de responder se recuperan los más relevantes para el mensaje y
+ * promptComposer los añade al prompt de sistema. El usuario puede ver,
+ * editar y borrar todo lo recordado y desactivar la memoria con
+ * preferences.memoryEnabled.
+ */
+const MAX_MEMORIES_PER_USER = 200;
+const MAX_FACTS_PER_EXCHANGE = 5;
+const RETRIEVAL_LIMIT = 6;
+const CATEGORIES = UserMemory.schema.path('category').enumValues;
+
+const EXTRACTION_PROMPT = `Extraes datos duraderos sobre una persona a partir de su mensaje a MindSync, un asistente de bienestar emocional.
+Guarda solo información útil en futuras conversaciones: trabajo o estudios, familia, relaciones,
+salud (diagnósticos o tratamientos que la persona contó), estrategias que le ayudaron o no, metas
+y preferencias sobre cómo quiere que la acompañen. Ignora estados de ánimo pasajeros y detalles triviales.
+Escribe cada dato en tercera persona, en español, en una frase corta.
+Responde solo con JSON: {"facts":[{"content":"...","category":"${CATEGORIES.join('|')}"}]}
+Si no hay nada que recordar responde {"facts":[]}.`;
+
+// Palabras demasiado comunes para decidir si un recuerdo es relevante
+const STOPWORDS = new Set([
+  'para', 'pero', 'porque', 'como', 'cuando', 'donde', 'esto', 'esta', 'este', 'estoy', 'estas',
+  'tengo', 'tiene', 'tienen', 'hace', 'hacer', 'algo', 'todo', 'todos', 'nada', 'mucho', 'poco',
+  'siento', 'sobre', 'desde', 'hasta', 'entre', 'ahora', 'siempre', 'nunca', 'tambien', 'persona',
+  'solo', 'mismo', 'otra', 'otro', 'unos', 'unas', 'ella', 'ellos', 'quiero', 'puedo', 'bien'
+].map(word => normalizeText(word)));
+
+// Misma normalización que el motor de crisis (acentos y ortografía)
+const tokenize = (text) => {
+  return [...new Set(
+    normalizeText(text)
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+  )];
+};
+
+const toContentKey = (text) => normalizeText(text).replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Acepta la respuesta del modelo aunque venga rodeada de texto
+const parseFacts = (content = '') => {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content.substring(start, end + 1));
+  } catch (error) {
+    return [];
+  }
+
+  if (!Array.isArray(parsed.facts)) return [];
+
+  return parsed.facts
+    .filter(fact => fact && typeof fact.content === 'string')
+    .map(fact => ({
+      content: fact.content.trim().substring(0, 500),
+      category: CATEGORIES.includes(fact.category) ? fact.category : 'other'
+    }))
+    .filter(fact => fact.content.length >= 3)
+    .slice(0, MAX_FACTS_PER_EXCHANGE);
+};
+
+// Si se supera el tope se borran los recuerdos extraídos menos usados
+const enforceMemoryLimit = async (userId) => {
+  const count = await UserMemory.countDocuments({ user: userId });
+  if (count <= MAX_MEMORIES_PER_USER) return;
+
+  const stale = await UserMemory.find({ user: userId, source: 'extracted' })
+    .sort({ lastUsedAt: 1, updatedAt: 1 })
+    .limit(count - MAX_MEMORIES_PER_USER)
+    .select('_id')
+    .lean();
+
+  await UserMemory.deleteMany({ _id: { $in: stale.map(memory => memory._id) } });
+};
+
+// ✅ EXTRAER Y GUARDAR DATOS DEL MENSAJE DEL USUARIO
+const extractMemories = async ({ userId, conversationId, message }) => {
+  const completion = await llm.getBackgroundProvider().complete({
+    task: 'memory-extraction',
+    model: llm.DEFAULT_MODEL,
+    messages: [
+      { role: 'system', content: EXTRACTION_PROMPT },
+      { role: 'user', content: message }
+    ],
+    maxTokens: 300,
+    temperature: 0
+  });
+
+  const facts = parseFacts(completion.content);
+  if (facts.length === 0) return 0;
+
+  // Un dato ya recordado (o editado por el usuario) no se sobrescribe
+  const result = await UserMemory.bulkWrite(facts.map(fact => ({
+    updateOne: {
+      filter: { user: userId, contentKey: toContentKey(fact.content) },
+      update: {
+        $setOnInsert: {
+          content: fact.content,
+          category: fact.category,
+          source: 'extracted',
+          sourceConversation: conversationId,
+          keywords: tokenize(fact.content)
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  await enforceMemoryLimit(userId);
+
+  if (result.upsertedCount > 0) {
+    logger.info('Recuerdos guardados', { userId, conversationId, count: result.upsertedCount });
+  }
+
+  return result.upsertedCount;
+};
+
+// ✅ EXTRACCIÓN EN SEGUNDO PLANO (NO RETRASA LA RESPUESTA AL USUARIO)
+const scheduleExtraction = (params) => {
+  setImmediate(() => {
+    extractMemories(params).catch(error => {
+      logger.error('Error extrayendo recuerdos', {
+        userId: params.userId,
+        error: error.message
+      });
+    });
+  });
+};
+
+/**
+ * Recuerdos más relevantes para el mensaje: primero los que comparten
+ * palabras con él y, para completar, los más recientes. Nunca falla: sin
+ * recuerdos el chat funciona igual.
+ */
+const retrieveMemories = async (userId, message, limit = RETRIEVAL_LIMIT) => {
+  try {
+    const memories = await UserMemory.find({ user: userId })
+      .sort({ updatedAt: -1 })
+      .limit(MAX_MEMORIES_PER_USER)
+      .select('content category keywords')
+      .lean();
+
+    if (memories.length === 0) return [];
+
+    const words = new Set(tokenize(message));
+    const selected = memories
+      .map((memory, index) => ({
+        memory,
+        index,
+        score: memory.keywords.filter(keyword => words.has(keyword)).length
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .map(({ memory }) => memory);
+
+    // lastUsedAt no cuenta como edición: no se toca updatedAt
+    await UserMemory.updateMany(
+      { _id: { $in: selected.map(memory => memory._id) } },
+      { $set: { lastUsedAt: new Date() } },
+      { timestamps: false }
+    );
+
+    return selected;
+  } catch (error) {
+    logger.error('Error recuperando recuerdos', { userId, error: error.message });
+    return [];
+  }
+};
+
+// ✅ GESTIÓN POR PARTE DEL USUARIO
+const listMemories = (userId, { category } = {}) => {
+  const query = { user: userId };
+  if (category) query.category = category;
+
+  return UserMemory.find(query).sort({ updatedAt: -1 });
+};
+
+const findMemoryOrFail = async (userId, memoryId) => {
+  const memory = mongoose.isValidObjectId(memoryId)
+    ? await UserMemory.findOne({ _id: memoryId, user: userId })
+    : null;
+
+  if (!memory) {
+    throw createHttpError(404, 'Recuerdo no encontrado');
+  }
+  return memory;
+};
+
+const updateMemory = async (userId, memoryId, { content, category }) => {
+  const memory = await findMemoryOrFail(userId, memoryId);
+
+  if (content !== undefined) {
+    memory.content = content;
+    memory.contentKey = toContentKey(content);
+    memory.keywords = tokenize(content);
+  }
+  if (category !== undefined) {
+    memory.category = category;
+  }
+  memory.source = 'user';
+
+  try {
+    await memory.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(409, 'Ya existe un recuerdo con ese contenido');
+    }
+    throw error;
+  }
+
+  return memory;
+};
+
+const deleteMemory = async (userId, memoryId) => {
+  const memory = await findMemoryOrFail(userId, memoryId);
+  await memory.deleteOne();
+};
+
+const deleteAllMemories = async (userId) => {
+  const result = await UserMemory.deleteMany({ user: userId });
+  return result.deletedCount;
+};
+
+module.exports = {
+  CATEGORIES,
+  parseFacts,
+  extractMemories,
+  scheduleExtraction,
+  retrieveMemories,
+  listMemories,
+  updateMemory,
+  deleteMemory,
+  deleteAllMemories
+};
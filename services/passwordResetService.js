@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const tokenService = require('./tokenService');
+const { sendMail, buildAppLink } = require('./mailService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+// Vigencia del enlace de recuperación (PASSWORD_RESET_TTL_MINUTES, por defecto 60)
+const getResetTtlMs = () => (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Genera un token de un solo uso y envía el enlace por email. Si el email
+ * no existe no hace nada, para no revelar qué cuentas están registradas.
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user) {
+    logger.info('Recuperación solicitada para email no registrado');
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMs = getResetTtlMs();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: new Date(Date.now() + ttlMs)
+      }
+    }
+  );
+
+  const link = buildAppLink('/reset-password', { token });
+  const minutes = Math.round(ttlMs / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Recupera tu contraseña de MindSync',
+    text: [
+      `Hola ${user.username},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña. Usa este enlace:',
+      link,
+      '',
+      `El enlace vence en ${minutes} minutos y solo se puede usar una vez.`,
+      'Si no fuiste tú, ignora este correo: tu contraseña no cambiará.'
+    ].join('\n')
+  });
+
+  logger.info('Enlace de recuperación enviado', { userId: user._id });
+};
+
+/**
+ * Cambia la contraseña con un token válido, lo invalida, desbloquea la cuenta
+ * y revoca todas las sesiones del usuario. Devuelve los ids de sesión revocados.
+ */
+const resetPassword = async (token, newPassword) => {
+  // El token se consume en la misma operación que lo busca: dos peticiones
+  // con el mismo enlace no pueden tener éxito las dos
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw createHttpError(400, 'El enlace de recuperación es inválido o expiró. Solicita uno nuevo.');
+  }
+
+  user.password = newPassword;
+  // Quien recupera la cuenta por email sale también del bloqueo por intentos fallidos
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  user.lastFailedLoginAt = undefined;
+  await user.save();
+
+  const revokedSessionIds = await tokenService.revokeUserSessions(user._id, 'password_change');
+
+  logger.info('Contraseña restablecida', { userId: user._id, revokedSessions: revokedSessionIds.length });
+
+  return { user, revokedSessionIds };
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
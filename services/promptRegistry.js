@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const llm = require('./llm');
+const PromptVersion = require('../models/PromptVersion');
+const PromptRollout = require('../models/PromptRollout');
+const { BASE_PERSONA } = require('./promptComposer');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+/**
+ * Registro de prompts versionados. Cada versión guarda el texto y los
+ * parámetros del modelo; el despliegue (PromptRollout) indica qué versiones
+ * se usan: una sola (versión activa) o varias con peso (experimento A/B).
+ * A cada usuario le toca siempre la misma variante de un experimento: se
+ * elige con un hash de su id y la sal del despliegue.
+ *
+ * Sin versiones en base de datos, o si falla la consulta, se usa la persona
+ * del código (promptComposer.BASE_PERSONA) con los parámetros por defecto.
+ */
+const PROMPT_KEYS = PromptVersion.schema.path('key').enumValues;
+const CHAT_PROMPT_KEY = 'chat';
+
+// Los despliegues se cachean en memoria; en varias instancias un cambio
+// tarda como máximo este tiempo en aplicarse
+const CACHE_TTL_MS = parseInt(process.env.PROMPT_CACHE_TTL_MS, 10) || 30 * 1000;
+
+const DEFAULT_PARAMS = {
+  model: llm.DEFAULT_MODEL,
+  maxTokens: 500,
+  temperature: 0.7,
+  topP: 1,
+  frequencyPenalty: 0,
+  presencePenalty: 0
+};
+
+const BUILTIN_CONTENT = {
+  chat: BASE_PERSONA
+};
+
+const rolloutCache = new Map();
+
+const assertKnownKey = (key) => {
+  if (!PROMPT_KEYS.includes(key)) {
+    throw createHttpError(404, 'Prompt desconocido');
+  }
+};
+
+// Parámetros de la versión sobre los de por defecto (los campos sin valor no cuentan)
+const mergeParams = (params = {}) => {
+  const defined = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+  return { ...DEFAULT_PARAMS, ...Object.fromEntries(defined) };
+};
+
+const builtinPrompt = (key) => ({
+  content: BUILTIN_CONTENT[key],
+  params: { ...DEFAULT_PARAMS },
+  record: { key, versionId: null, version: null, experiment: null }
+});
+
+const loadRollout = async (key) => {
+  const cached = rolloutCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.rollout;
+  }
+
+  const rollout = await PromptRollout.findOne({ key })
+    .populate('variants.version')
+    .lean();
+
+  rolloutCache.set(key, { rollout, loadedAt: Date.now() });
+  return rollout;
+};
+
+// Variante estable para el usuario: el hash lo sitúa en un punto de la suma de pesos
+const assignVariant = (rollout, userId) => {
+  const variants = rollout.variants.filter(variant => variant.version);
+  if (variants.length <= 1) return variants[0];
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${rollout.salt}:${userId}`).digest();
+  let point = hash.readUInt32BE(0) % totalWeight;
+
+  return variants.find(variant => {
+    point -= variant.weight;
+    return point < 0;
+  });
+};
+
+/**
+ * Prompt que corresponde al usuario. Nunca falla.
+ * @returns {{ content: string, params: object, record: object }} `record` es
+ *   lo que se guarda en el mensaje: key, versionId, version y experiment
+ *   (id del despliegue si hay un experimento A/B; versionId null = persona del código)
+ */
+const resolvePrompt = async (key, userId) => {
+  try {
+    const rollout = await loadRollout(key);
+    const variant = rollout && assignVariant(rollout, userId);
+    if (!variant) return builtinPrompt(key);
+
+    const version = variant.version;
+    return {
+      content: version.content,
+      params: mergeParams(version.params),
+      record: {
+        key,
+        versionId: version._id,
+        version: version.version,
+        experiment: rollout.variants.length > 1 ? rollout._id : null
+      }
+    };
+  } catch (error) {
+    logger.error('Error cargando prompt versionado, se usa el del código', { key, error: error.message });
+    return builtinPrompt(key);
+  }
+};
+
+// ✅ VERSIONES
+const listVersions = (key) => {
+  assertKnownKey(key);
+  return PromptVersion.find({ key }).sort({ version: -1 }).lean();
+};
+
+const createVersion = async (key, { content, description, params }, userId) => {
+  assertKnownKey(key);
+
+  // Dos administradores creando a la vez: el índice único obliga a reintentar con el siguiente número
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await PromptVersion.findOne({ key }).sort({ version: -1 }).select('version').lean();
+
+    try {
+      return await PromptVersion.create({
+        key,
+        version: latest ? latest.version + 1 : 1,
+        content,
+        description,
+        params,
+        createdBy: userId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw createHttpError(409, 'No se pudo asignar un número de versión. Intenta de nuevo.');
+};
+
+const findVersionsOrFail = async (key, versionNumbers) => {
+  const versions = await PromptVersion.find({ key, version: { $in: versionNumbers } }).lean();
+
+  const missing = versionNumbers.filter(number => !versions.some(version => version.version === number));
+  if (missing.length > 0) {
+    throw createHttpError(404, `Versión no encontrada: ${missing.join(', ')}`);
+  }
+
+  return versionNumbers.map(number => versions.find(version => version.version === number));
+};
+
+// ✅ DESPLIEGUE (VERSIÓN ACTIVA O EXPERIMENTO)
+const toRolloutView = (key, rollout) => {
+  if (!rollout) {
+    return { key, builtin: true, isExperiment: false, variants: [] };
+  }
+
+  const totalWeight = rollout.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  return {
+    key,
+    builtin: false,
+    isExperiment: rollout.variants.length > 1,
+    rolloutId: rollout._id,
+    variants: rollout.variants.map(variant => ({
+      versionId: variant.version._id,
+      version: variant.version.version,
+      description: variant.version.description,
+      weight: variant.weight,
+      share: Math.round((variant.weight / totalWeight) * 1000) / 10
+    })),
+    updatedAt: rollout.updatedAt
+  };
+};
+
+const getRollout = async (key) => {
+  assertKnownKey(key);
+
+  const rollout = await PromptRollout.findOne({ key }).populate('variants.version').lean();
+  return toRolloutView(key, rollout);
+};
+
+const deployVariants = async (key, variants, userId) => {
+  const versions = await findVersionsOrFail(key, variants.map(variant => variant.version));
+
+  await PromptRollout.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        variants: variants.map((variant, index) => ({ version: versions[index]._id, weight: variant.weight })),
+        salt: crypto.randomBytes(8).toString('hex'),
+        updatedBy: userId
+      }
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  rolloutCache.delete(key);
+
+  logger.info('Despliegue de prompt actualizado', {
+    key,
+    userId,
+    variants: variants.map(variant => `v${variant.version}:${variant.weight}`)
+  });
+
+  return getRollout(key);
+};
+
+const activateVersion = (key, versionNumber, userId) => {
+  assertKnownKey(key);
+  return deployVariants(key, [{ version: versionNumber, weight: 100 }], userId);
+};
+
+const startExperiment = (key, variants, userId) => {
+  assertKnownKey(key);
+  return deployVariants(key, variants, userId);
+};
+
+module.exports = {
+  PROMPT_KEYS,
+  CHAT_PROMPT_KEY,
+  DEFAULT_PARAMS,
+  resolvePrompt,
+  listVersions,
+  createVersion,
+  getRollout,
+  activateVersion,
+  startExperiment
+};
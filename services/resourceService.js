@@ -0,0 +1,109 @@
+const CrisisResource = require('../models/CrisisResource');
+const { DEFAULT_CRISIS_RESOURCES, TIMEZONE_COUNTRIES } = require('../config/crisisResources');
+const logger = require('../logger');
+
+const normalizeCity = (city) => {
+  return typeof city === 'string' && city.trim() ? city.trim().toLowerCase() : null;
+};
+
+// País del perfil si existe; si no, el deducido de la zona horaria. null si no
+// se puede saber: mejor recursos genéricos que las líneas de otro país
+const resolveCountry = ({ country, timezone } = {}) => {
+  if (typeof country === 'string' && /^[a-z]{2}$/i.test(country.trim())) {
+    return country.trim().toUpperCase();
+  }
+  return TIMEZONE_COUNTRIES[timezone] || null;
+};
+
+// Combina la entrada de la ciudad (si existe) con la nacional
+const buildDirectoryEntry = (countryCode, national, local) => {
+  if (!national && !local) {
+    return {
+      country: countryCode,
+      city: null,
+      countryName: null,
+      emergencyNumber: null,
+      lines: [],
+      isGeneric: true
+    };
+  }
+
+  return {
+    country: countryCode,
+    city: local ? local.city : null,
+    countryName: (local && local.countryName) || (national && national.countryName) || null,
+    emergencyNumber: (local && local.emergencyNumber) || (national && national.emergencyNumber) || null,
+    lines: [
+      ...(local ? local.lines : []),
+      ...(national ? national.lines : [])
+    ],
+    isGeneric: false
+  };
+};
+
+/**
+ * Recursos de crisis para un país/ciudad. Las entradas guardadas por los
+ * administradores tienen prioridad sobre el directorio base de config/.
+ * Si la base de datos falla se usa el directorio base: en una crisis
+ * siempre hay que poder mostrar algún recurso. Sin país conocido se devuelve
+ * la entrada genérica (isGeneric, country null).
+ */
+const getCrisisResources = async ({ country, city, timezone } = {}) => {
+  const countryCode = resolveCountry({ country, timezone });
+  if (!countryCode) {
+    return buildDirectoryEntry(null, null, null);
+  }
+
+  const cityKey = normalizeCity(city);
+  let entries = [];
+
+  try {
+    entries = await CrisisResource.find({
+      country: countryCode,
+      city: { $in: [null, cityKey] }
+    }).lean();
+  } catch (error) {
+    logger.error('Error consultando recursos de crisis, usando directorio base', {
+      country: countryCode,
+      error: error.message
+    });
+  }
+
+  const national = entries.find(entry => entry.city === null) || DEFAULT_CRISIS_RESOURCES[countryCode];
+  const local = cityKey ? entries.find(entry => entry.city === cityKey) : null;
+
+  return buildDirectoryEntry(countryCode, national, local);
+};
+
+// Crear o reemplazar la entrada de un país (o de una ciudad del país)
+const upsertCrisisResources = async (country, { city, countryName, emergencyNumber, lines }, updatedBy) => {
+  const countryCode = country.toUpperCase();
+  const cityKey = normalizeCity(city);
+
+  return CrisisResource.findOneAndUpdate(
+    { country: countryCode, city: cityKey },
+    {
+      $set: {
+        countryName,
+        emergencyNumber,
+        lines,
+        updatedBy
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const deleteCrisisResources = async (country, city) => {
+  return CrisisResource.findOneAndDelete({
+    country: country.toUpperCase(),
+    city: normalizeCity(city)
+  });
+};
+
+module.exports = {
+  resolveCountry,
+  getCrisisResources,
+  upsertCrisisResources,
+  deleteCrisisResources
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = '15m';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 días
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // frecuencia máxima de actualización de lastSeenAt
+
+// Los secretos de desarrollo solo se aceptan con NODE_ENV=development o test;
+// en cualquier otro entorno (incluido NODE_ENV sin definir) son obligatorios
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+const getSecret = (envName, devFallback) => {
+  if (process.env[envName]) {
+    return process.env[envName];
+  }
+
+  if (!DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    throw new Error(`${envName} no está configurado`);
+  }
+
+  return devFallback;
+};
+
+const getAccessSecret = () => getSecret('JWT_SECRET', 'dev-access-secret');
+const getRefreshSecret = () => getSecret('JWT_REFRESH_SECRET', 'dev-refresh-secret');
+// Clave con la que se cifran los secretos TOTP guardados (ver twoFactorService)
+const getTotpEncryptionKey = () => getSecret('TOTP_ENCRYPTION_KEY', 'dev-totp-encryption-key');
+
+// Falla al arrancar en lugar de en la primera petición
+const assertSecretsConfigured = () => {
+  getAccessSecret();
+  getRefreshSecret();
+  getTotpEncryptionKey();
+};
+
+const newJti = () => crypto.randomBytes(16).toString('hex');
+
+// Ambos tokens llevan el id de la sesión (sid); el refresh token además su jti
+const signTokens = (userId, session) => {
+  const accessToken = jwt.sign(
+    { userId, type: 'access', sid: session._id.toString() },
+    getAccessSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, type: 'refresh', sid: session._id.toString(), jti: session.currentJti },
+    getRefreshSecret(),
+    { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000) }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, getRefreshSecret());
+
+  if (decoded.type !== 'refresh') {
+    const error = new Error('Tipo de token inválido');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return decoded;
+};
+
+// ✅ NUEVA SESIÓN (LOGIN / REGISTRO)
+// device = { deviceName, userAgent, ip } del dispositivo que inicia sesión
+const createSession = async (userId, device = {}) => {
+  const session = await Session.create({
+    user: userId,
+    currentJti: newJti(),
+    deviceName: device.deviceName,
+    userAgent: device.userAgent ? device.userAgent.substring(0, 500) : undefined,
+    ip: device.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, tokens: signTokens(userId, session) };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+// Revocar todas las sesiones activas del usuario excepto una (opcional)
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id').lean();
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return sessions.map(session => session._id.toString());
+};
+
+// Sesiones activas del usuario, la más reciente primero
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Sesión activa a la que pertenece un access token, o null si fue revocada
+ * o expiró. La usan todos los middlewares de autenticación. Actualiza
+ * lastSeenAt como máximo una vez por minuto.
+ */
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (session && (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS)) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } }).catch(error => {
+      logger.error('Error actualizando lastSeenAt de la sesión', { sessionId, error: error.message });
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Rota un refresh token ya verificado: emite un par nuevo e invalida el anterior.
+ * Si el token no es el último emitido para su sesión, se considera reutilizado
+ * (posible robo) y se revoca toda la familia.
+ */
+const rotateRefreshToken = async (decoded) => {
+  if (!decoded.sid || !decoded.jti) {
+    throw createHttpError(401, 'Refresh token no válido. Inicia sesión nuevamente.');
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || session.user.toString() !== decoded.userId.toString()) {
+    throw createHttpError(401, 'Sesión no encontrada. Inicia sesión nuevamente.');
+  }
+
+  if (!session.isActive()) {
+    throw createHttpError(401, 'Sesión revocada o expirada. Inicia sesión nuevamente.');
+  }
+
+  // La actualización condicional evita que dos peticiones roten el mismo token
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, currentJti: decoded.jti, revokedAt: null },
+    { $set: { currentJti: newJti(), lastRotatedAt: new Date(), lastSeenAt: new Date() } },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse');
+    logger.warn('Reutilización de refresh token detectada, sesión revocada', {
+      userId: decoded.userId,
+      sessionId: session._id
+    });
+    throw createHttpError(401, 'Refresh token reutilizado. Por seguridad, la sesión fue cerrada.');
+  }
+
+  return { session: rotated, tokens: signTokens(decoded.userId, rotated) };
+};
+
+module.exports = {
+  getAccessSecret,
+  getRefreshSecret,
+  getTotpEncryptionKey,
+  assertSecretsConfigured,
+  verifyRefreshToken,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  findActiveSession,
+  rotateRefreshToken
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) con HMAC-SHA1, 6 dígitos y pasos de 30 segundos: los
+ * parámetros que entienden Google Authenticator, Authy, 1Password, etc.
+ */
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Código HOTP (RFC 4226) para un paso de tiempo concreto
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Verifica un código aceptando `window` pasos de desfase de reloj hacia cada
+ * lado. Devuelve el paso que coincidió (para impedir reusar el mismo código)
+ * o null. Los pasos anteriores o iguales a lastUsedStep se rechazan.
+ */
+const verifyCode = (secret, code, { window = 1, lastUsedStep = -1, time = Date.now() } = {}) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getStep(time);
+  const expected = Buffer.from(code);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= lastUsedStep) continue;
+
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// URI que las apps de autenticación leen desde el código QR
+const buildOtpauthUri = ({ secret, accountName, issuer = 'MindSync' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totpService = require('./totpService');
+const { getAccessSecret, getTotpEncryptionKey } = require('./tokenService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../logger');
+
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+const TOTP_CODE = /^\d{6}$/;
+
+// Los secretos TOTP se guardan cifrados con AES-256-GCM: "v1:<iv>:<tag>:<cifrado>"
+// en base64. Los guardados antes del cifrado (base32 sin prefijo) se siguen
+// aceptando y se cifran la próxima vez que se usan.
+const ENCRYPTED_PREFIX = 'v1:';
+
+const getEncryptionKey = () => crypto.createHash('sha256').update(getTotpEncryptionKey()).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const isEncrypted = (stored) => stored.startsWith(ENCRYPTED_PREFIX);
+
+const decryptSecret = (stored) => {
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+
+  const [iv, tag, encrypted] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+};
+
+// Códigos de respaldo con formato xxxx-xxxx; se guardan solo sus hashes
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const findUserOrFail = async (userId) => {
+  const user = await findUserWithSecrets(userId);
+  if (!user) {
+    throw createHttpError(404, 'Usuario no encontrado');
+  }
+  return user;
+};
+
+// ✅ INICIAR LA CONFIGURACIÓN (SECRETO PENDIENTE HASTA CONFIRMAR UN CÓDIGO)
+const startEnrollment = async (userId) => {
+  const user = await findUserOrFail(userId);
+
+  if (user.twoFactor.enabled) {
+    throw createHttpError(409, 'La verificación en dos pasos ya está activada');
+  }
+
+  const secret = totpService.generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const otpauthUri = totpService.buildOtpauthUri({ secret, accountName: user.email });
+
+  // El cliente genera el QR a partir de qrPayload (la misma URI otpauth)
+  return { secret, otpauthUri, qrPayload: otpauthUri };
+};
+
+// ✅ CONFIRMAR LA CONFIGURACIÓN CON UN CÓDIGO DE LA APP
+const confirmEnrollment = async (userId, code) => {
+  const user = await findUserOrFail(userId);
+
+  if (user.twoFactor.enabled) {
+    throw createHttpError(409, 'La verificación en dos pasos ya está activada');
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw createHttpError(400, 'Primero inicia la configuración de la verificación en dos pasos');
+  }
+
+  const pendingSecret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = totpService.verifyCode(pendingSecret, code);
+  if (step === null) {
+    throw createHttpError(400, 'Código de verificación inválido');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = encryptSecret(pendingSecret);
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+
+  logger.info('Verificación en dos pasos activada', { userId: user._id });
+
+  return { backupCodes: codes };
+};
+
+/**
+ * Comprueba un código TOTP o un código de respaldo y lo consume: el paso TOTP
+ * queda marcado como usado y el código de respaldo se elimina. Las
+ * actualizaciones son condicionales para que dos peticiones simultáneas no
+ * puedan usar el mismo código. Devuelve 'totp', 'backup' o null.
+ */
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactor.enabled || typeof code !== 'string') {
+    return null;
+  }
+
+  if (TOTP_CODE.test(code)) {
+    const storedSecret = user.twoFactor.secret;
+    const secret = decryptSecret(storedSecret);
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+    const step = totpService.verifyCode(secret, code, { lastUsedStep });
+    if (step === null) return null;
+
+    const update = { 'twoFactor.lastUsedStep': step };
+    if (!isEncrypted(storedSecret)) {
+      update['twoFactor.secret'] = encryptSecret(secret);
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: update }
+    );
+
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const hash = hashBackupCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+
+  if (result.modifiedCount !== 1) return null;
+
+  logger.info('Código de respaldo utilizado', { userId: user._id });
+  return 'backup';
+};
+
+const countBackupCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.backupCodes').lean();
+  return user && user.twoFactor && user.twoFactor.backupCodes ? user.twoFactor.backupCodes.length : 0;
+};
+
+// ✅ NUEVOS CÓDIGOS DE RESPALDO (INVALIDA LOS ANTERIORES)
+const regenerateBackupCodes = async (userId, code) => {
+  const user = await findUserOrFail(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw createHttpError(400, 'La verificación en dos pasos no está activada');
+  }
+
+  if (!(await verifySecondFactor(user, code))) {
+    throw createHttpError(401, 'Código de verificación inválido');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+  logger.info('Códigos de respaldo regenerados', { userId: user._id });
+
+  return { backupCodes: codes };
+};
+
+// ✅ DESACTIVAR (PIDE CONTRASEÑA Y UN CÓDIGO VÁLIDO)
+const disableTwoFactor = async (userId, password, code) => {
+  const user = await findUserOrFail(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw createHttpError(400, 'La verificación en dos pasos no está activada');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw createHttpError(401, 'La contraseña es incorrecta');
+  }
+
+  if (!(await verifySecondFactor(user, code))) {
+    throw createHttpError(401, 'Código de verificación inválido');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    }
+  );
+
+  logger.info('Verificación en dos pasos desactivada', { userId: user._id });
+};
+
+// Token intermedio del login en dos pasos: solo sirve para POST /login/2fa
+const signTwoFactorToken = (user) => {
+  return jwt.sign(
+    { userId: user._id.toString(), type: 'two-factor' },
+    getAccessSecret(),
+    { expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN }
+  );
+};
+
+const verifyTwoFactorToken = (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, getAccessSecret());
+  } catch (error) {
+    throw createHttpError(401, 'La verificación expiró. Inicia sesión de nuevo.');
+  }
+
+  if (decoded.type !== 'two-factor') {
+    throw createHttpError(401, 'Token de verificación inválido');
+  }
+
+  return decoded.userId;
+};
+
+module.exports = {
+  findUserWithSecrets,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  countBackupCodes,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  signTwoFactorToken,
+  verifyTwoFactorToken
+};
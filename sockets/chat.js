@@ -0,0 +1,242 @@
+const { AuthError, extractBearerToken, verifyAccessToken } = require('../middleware/auth');
+const User = require('../models/User');
+const { chatSchema } = require('../middleware/validation');
+const chatService = require('../services/chatService');
+const logger = require('../logger');
+
+// Sala con todos los dispositivos conectados de un usuario
+const userRoom = (userId) => `user:${userId}`;
+
+// Sala de los sockets abiertos con una sesión concreta
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Límite de mensajes por usuario, sumando todas sus conexiones
+const MESSAGE_WINDOW_MS = 60 * 1000;
+const MAX_MESSAGES_PER_WINDOW = 10;
+const recentMessages = new Map();
+
+// Registra el mensaje si cabe en la ventana; si no, devuelve los ms que faltan para poder enviar otro
+const takeMessageSlot = (userId, now = Date.now()) => {
+  const timestamps = (recentMessages.get(userId) || []).filter(time => now - time < MESSAGE_WINDOW_MS);
+
+  if (timestamps.length >= MAX_MESSAGES_PER_WINDOW) {
+    recentMessages.set(userId, timestamps);
+    return MESSAGE_WINDOW_MS - (now - timestamps[0]);
+  }
+
+  timestamps.push(now);
+  recentMessages.set(userId, timestamps);
+  return 0;
+};
+
+const pruneRecentMessages = (now = Date.now()) => {
+  for (const [userId, timestamps] of recentMessages) {
+    if (timestamps.every(time => now - time >= MESSAGE_WINDOW_MS)) {
+      recentMessages.delete(userId);
+    }
+  }
+};
+
+// ✅ AUTENTICACIÓN DEL SOCKET CON LA MISMA VERIFICACIÓN QUE LAS RUTAS REST
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      extractBearerToken(socket.handshake.headers.authorization);
+
+    const { user, decoded } = await verifyAccessToken(token);
+
+    socket.userId = user._id.toString();
+    socket.sessionId = decoded.sid;
+    // Se vuelve a verificar en cada mensaje (expiración, cuenta desactivada, sesión revocada)
+    socket.accessToken = token;
+    next();
+  } catch (error) {
+    logger.warn('Autenticación de socket rechazada', { 
+      error: error.message, 
+      socketId: socket.id 
+    });
+
+    // El cliente recibe el mismo código que en REST en err.data.code
+    const authError = new Error(error instanceof AuthError ? error.message : 'Error de autenticación');
+    authError.data = { code: error.code || 'AUTH_ERROR' };
+    next(authError);
+  }
+};
+
+/**
+ * Namespace /chat de Socket.IO.
+ *
+ * Cliente → servidor:
+ *   chat:message { message, conversationId?, context? } (con ack opcional)
+ * Servidor → todos los dispositivos del usuario:
+ *   chat:message  mensaje del usuario (eco para los demás dispositivos)
+ *   chat:typing   { conversationId, isTyping } mientras el asistente responde
+ *   chat:chunk    { conversationId, content } fragmentos de la respuesta
+ *   chat:reply    respuesta final, con el mismo formato que POST /api/chat
+ *
+ * Cada mensaje vuelve a verificar el access token del handshake: si expiró,
+ * la cuenta se desactivó o la sesión se revocó, el ack lleva el código de
+ * error (TOKEN_EXPIRED, ACCOUNT_DISABLED, ...) y el socket se desconecta; el
+ * cliente debe reconectar con un token nuevo. Más de MAX_MESSAGES_PER_WINDOW
+ * mensajes por minuto y usuario se rechazan con RATE_LIMITED.
+ */
+const registerChatNamespace = (io) => {
+  const namespace = io.of('/chat');
+
+  namespace.use(authenticateSocket);
+
+  setInterval(pruneRecentMessages, MESSAGE_WINDOW_MS).unref();
+
+  namespace.on('connection', (socket) => {
+    const userId = socket.userId;
+    const room = userRoom(userId);
+
+    socket.join([room, sessionRoom(socket.sessionId)]);
+    logger.info('Socket de chat conectado', { userId, socketId: socket.id });
+
+    socket.on('chat:message', async (payload = {}, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      const retryAfterMs = takeMessageSlot(userId);
+      if (retryAfterMs > 0) {
+        logger.warn('Mensajes de chat por socket limitados', { userId, socketId: socket.id });
+        return respond({
+          error: 'Estás enviando mensajes demasiado rápido. Espera unos segundos e inténtalo de nuevo.',
+          code: 'RATE_LIMITED',
+          retryAfter: Math.ceil(retryAfterMs / 1000)
+        });
+      }
+
+      try {
+        await verifyAccessToken(socket.accessToken);
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          logger.error('Error verificando el socket de chat', { userId, error: error.message });
+          return respond({ error: 'Ha ocurrido un error procesando tu mensaje. Por favor intenta de nuevo.' });
+        }
+
+        logger.warn('Socket de chat con autenticación ya no válida', { userId, socketId: socket.id, code: error.code });
+        respond({ error: error.message, code: error.code });
+        return socket.disconnect(true);
+      }
+
+      // Mismas reglas que POST /api/chat
+      const { error: validationError, value } = chatSchema.validate(payload, {
+        abortEarly: true,
+        stripUnknown: true,
+        convert: true
+      });
+
+      if (validationError) {
+        return respond({ error: validationError.details[0].message });
+      }
+
+      const { message, conversationId, context: chatContext } = value;
+
+      let conversation;
+      let reservation;
+
+      try {
+        // Misma regla que checkSessionLimit: una conversación nueva reserva cupo semanal
+        if (!conversationId) {
+          reservation = await User.reserveSession(userId);
+
+          if (!reservation.reserved) {
+            const user = await User.findById(userId);
+            if (!user) {
+              return respond({ error: 'Usuario no encontrado' });
+            }
+
+            return respond({
+              error: 'Alcanzaste el límite semanal de sesiones de tu plan.',
+              code: 'SESSION_LIMIT_REACHED',
+              quota: user.getSessionQuota()
+            });
+          }
+        }
+
+        let isNewConversation;
+        ({ conversation, isNewConversation } = await chatService.resolveConversation(userId, conversationId, message));
+
+        // Eco del mensaje para los demás dispositivos del usuario
+        socket.to(room).emit('chat:message', {
+          conversationId: conversation._id,
+          role: 'user',
+          content: message,
+          timestamp: new Date().toISOString()
+        });
+
+        namespace.to(room).emit('chat:typing', { conversationId: conversation._id, isTyping: true });
+
+        let chunksSent = false;
+        const result = await chatService.processMessage({
+          userId,
+          conversation,
+          isNewConversation,
+          message,
+          chatContext,
+          channel: 'socket',
+          onToken: (token) => {
+            chunksSent = true;
+            namespace.to(room).emit('chat:chunk', {
+              conversationId: conversation._id,
+              content: token
+            });
+          }
+        });
+
+        // Igual que el evento "reset" de SSE: los fragmentos enviados no son la respuesta final
+        if (chunksSent && result.reply.type === 'fallback') {
+          namespace.to(room).emit('chat:reset', {
+            conversationId: conversation._id,
+            reason: result.reply.degradedReason
+          });
+        }
+
+        const response = chatService.buildChatResponse(result);
+
+        namespace.to(room).emit('chat:reply', response);
+        respond(response);
+
+      } catch (error) {
+        logger.error('Error en chat por socket', { 
+          userId, 
+          error: error.message, 
+          stack: error.stack 
+        });
+
+        // La sesión reservada se devuelve si la conversación no llegó a crearse
+        if (!conversation && reservation && reservation.reserved) {
+          User.releaseSession(userId, reservation.weekKey).catch(releaseError => {
+            logger.error('Error liberando sesión reservada', { userId, error: releaseError.message });
+          });
+        }
+
+        respond({ 
+          error: error.status 
+            ? error.message 
+            : 'Ha ocurrido un error procesando tu mensaje. Por favor intenta de nuevo.' 
+        });
+      } finally {
+        if (conversation) {
+          namespace.to(room).emit('chat:typing', { conversationId: conversation._id, isTyping: false });
+        }
+      }
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.info('Socket de chat desconectado', { userId, socketId: socket.id, reason });
+    });
+  });
+
+  return namespace;
+};
+
+// Desconectar los sockets de sesiones revocadas
+const disconnectSessions = (io, sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.of('/chat').in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
+
+module.exports = registerChatNamespace;
+module.exports.disconnectSessions = disconnectSessions;
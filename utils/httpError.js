@@ -0,0 +1,9 @@
+// Error con código HTTP para que cada ruta o canal lo traduzca a su formato.
+// server.js ya responde con err.status cuando el error llega al manejador global.
+const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = createHttpError;
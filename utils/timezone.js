@@ -0,0 +1,52 @@
+// Utilidades de zona horaria basadas en Intl (sin dependencias externas)
+const DEFAULT_TIMEZONE = 'America/Bogota';
+
+// Verificar que la zona horaria sea un identificador IANA válido
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Devolver la primera zona horaria válida de la lista o la zona por defecto
+const resolveTimezone = (...candidates) => {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+};
+
+// Fecha local (YYYY-MM-DD) de un instante en la zona horaria indicada
+const toLocalDateKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+};
+
+// Sumar días a una fecha local YYYY-MM-DD
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Lunes (YYYY-MM-DD) de la semana local a la que pertenece un instante
+const toLocalWeekKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const dateKey = toLocalDateKey(date, timezone);
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay(); // 0 = domingo
+  return addDaysToKey(dateKey, -((weekday + 6) % 7));
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  toLocalDateKey,
+  toLocalWeekKey,
+  addDaysToKey
+};